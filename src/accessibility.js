@@ -0,0 +1,175 @@
+// Accessibility options.
+// Reduced motion follows the system's prefers-reduced-motion unless set by hand,
+// and turns off bloom, Poppy's tilt and the bouncier UI animations. High contrast
+// draws colour-coded outlines around hazards. UI scale resizes the HUD and menus.
+// Assist mode slows the whole game down, forgives near hits and can steer Poppy
+// towards cheese so only jumping is left to the player.
+// Hit tolerance and auto-steer change the simulation, so runs record them (see
+// simAssist) and replays use what was recorded. Game speed only stretches real
+// time between ticks, so a slowed run replays the same at full speed.
+
+export const ACCESSIBILITY_DEFAULTS = {
+  reducedMotion: 'system', // 'system', 'on' or 'off'
+  highContrast: false,
+  uiScale: 1,
+  assist: false,
+  gameSpeed: 1, // Share of normal speed
+  hitTolerance: 0, // Share of Poppy's hitbox radius that hazards can graze without hurting
+  autoSteer: false
+};
+
+export const ACCESSIBILITY_LIMITS = {
+  uiScale: { min: 0.8, max: 1.6 },
+  gameSpeed: { min: 0.5, max: 1 },
+  hitTolerance: { min: 0, max: 0.5 }
+};
+
+export const REDUCED_MOTION_OPTIONS = {
+  system: 'Same as the system',
+  on: 'On',
+  off: 'Off'
+};
+
+export const AUTO_STEER_CONFIG = {
+  lookAhead: 45, // How far up the board it plans, in world units
+  laneStep: 1, // Spacing of the candidate X positions
+  edge: 8, // Poppy's movement limit
+  hazardMargin: 1.2, // Extra clearance kept from a hazard's hitbox
+  cheeseReach: 1.5, // A cheese this close sideways counts as in the lane
+  travelCost: 0.15, // Prefer lanes close to where Poppy already is
+  fullSteerDistance: 1.5 // Steers at full speed when the target is at least this far away
+};
+
+const SETTINGS_KEY = 'poppyAccessibility';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function clampSetting(key, value) {
+  const limits = ACCESSIBILITY_LIMITS[key];
+  const number = Number(value);
+  if (!Number.isFinite(number)) return ACCESSIBILITY_DEFAULTS[key];
+  return Math.min(limits.max, Math.max(limits.min, number));
+}
+
+export function loadAccessibilitySettings() {
+  const settings = { ...ACCESSIBILITY_DEFAULTS };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved === 'object') Object.assign(settings, saved);
+  } catch (error) {
+    console.error('Error reading accessibility settings, using defaults:', error);
+  }
+  if (!REDUCED_MOTION_OPTIONS[settings.reducedMotion]) settings.reducedMotion = 'system';
+  Object.keys(ACCESSIBILITY_LIMITS).forEach(key => {
+    settings[key] = clampSetting(key, settings[key]);
+  });
+  return settings;
+}
+
+export function saveAccessibilitySettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function systemPrefersReducedMotion() {
+  return typeof window !== 'undefined' && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+}
+
+// The assist options that change the simulation, or null when assist mode is off
+export function simAssist(settings) {
+  if (!settings.assist) return null;
+  return { hitTolerance: settings.hitTolerance, autoSteer: settings.autoSteer };
+}
+
+// onChange(state) runs whenever a setting or the system preference changes, including
+// once at creation. state is the settings plus the resolved reducedMotion flag
+export function createAccessibility({ onChange }) {
+  const settings = loadAccessibilitySettings();
+  const media = typeof window !== 'undefined' ? window.matchMedia?.(REDUCED_MOTION_QUERY) : null;
+
+  function reducedMotion() {
+    if (settings.reducedMotion === 'system') return systemPrefersReducedMotion();
+    return settings.reducedMotion === 'on';
+  }
+
+  function apply() {
+    onChange({ ...settings, reducedMotion: reducedMotion() });
+  }
+
+  if (media && media.addEventListener) media.addEventListener('change', apply);
+  apply();
+
+  return {
+    get settings() {
+      return { ...settings };
+    },
+    get reducedMotion() {
+      return reducedMotion();
+    },
+    get highContrast() {
+      return settings.highContrast;
+    },
+    // Game speed in use: slowed only while assist mode is on
+    get gameSpeed() {
+      return settings.assist ? settings.gameSpeed : 1;
+    },
+    set(changes) {
+      Object.entries(changes).forEach(([key, value]) => {
+        if (!(key in ACCESSIBILITY_DEFAULTS)) return;
+        if (key in ACCESSIBILITY_LIMITS) value = clampSetting(key, value);
+        if (key === 'reducedMotion' && !REDUCED_MOTION_OPTIONS[value]) return;
+        settings[key] = value;
+      });
+      saveAccessibilitySettings(settings);
+      apply();
+    }
+  };
+}
+
+// Horizontal extent of a hazard's hitbox, for planning around it
+function hazardSpan(hazard) {
+  const { hitbox } = hazard;
+  if (hitbox.shape === 'sphere') return { center: hazard.x, half: hitbox.radius };
+  return {
+    center: hazard.x + hitbox.worldOffsetX,
+    half: Math.abs(hitbox.cos) * hitbox.halfX + Math.abs(hitbox.sin) * hitbox.halfZ
+  };
+}
+
+// One-button play: picks the X position ahead with the most cheese and the fewest
+// hazards and returns a steer value (-1 to 1) towards it. Closer things count more.
+// Poppy is at z = 0 and everything ahead has negative z.
+export function autoSteer(x, cheeses, hazards, config = AUTO_STEER_CONFIG) {
+  const ahead = (entity) => entity.z < 2 && entity.z > -config.lookAhead;
+  const nearness = (entity) => 1 - Math.max(0, -entity.z) / config.lookAhead;
+  const spans = hazards.filter(ahead).map(hazard => ({ ...hazardSpan(hazard), weight: nearness(hazard) }));
+  const food = cheeses.filter(cheese => ahead(cheese) && cheese.z < 0);
+
+  let bestX = x;
+  let bestScore = -Infinity;
+  for (let lane = -config.edge; lane <= config.edge; lane += config.laneStep) {
+    let score = -Math.abs(lane - x) * config.travelCost;
+    spans.forEach(span => {
+      if (Math.abs(lane - span.center) < span.half + config.hazardMargin) score -= 10 * span.weight;
+    });
+    food.forEach(cheese => {
+      if (Math.abs(lane - cheese.x) < config.cheeseReach) score += nearness(cheese);
+    });
+    if (score > bestScore) {
+      bestScore = score;
+      bestX = lane;
+    }
+  }
+  return Math.max(-1, Math.min(1, (bestX - x) / config.fullSteerDistance));
+}
+
+// Screen reader announcements go through one polite live region
+export function createAnnouncer(element) {
+  return {
+    announce(text) {
+      // Clearing first makes the same message get read again
+      element.textContent = '';
+      setTimeout(() => {
+        element.textContent = text;
+      }, 50);
+    }
+  };
+}
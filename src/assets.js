@@ -0,0 +1,59 @@
+// Asset loading.
+// Every model, texture, HDRI and sound goes through one THREE.LoadingManager so the
+// start screen can show overall progress. Each load returns a promise; callers
+// handle failure with a fallback, and the failure is listed on the start screen.
+// Required assets hold the start button back until they've loaded or fallen back.
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+// onProgress(fraction) while loading, onFailure({ label, url, fallback, error }) per failed asset
+export function createAssetManager({ onProgress, onFailure } = {}) {
+  const manager = new THREE.LoadingManager();
+  const loaders = {
+    gltf: new GLTFLoader(manager),
+    exr: new EXRLoader(manager),
+    texture: new THREE.TextureLoader(manager),
+    audio: new THREE.AudioLoader(manager)
+  };
+  const required = [];
+  const failures = [];
+  let progress = 0;
+
+  // glTF files add their textures to the total as they're discovered, so never let the bar go backwards
+  manager.onProgress = (url, loaded, total) => {
+    progress = Math.max(progress, loaded / total);
+    if (onProgress) onProgress(progress);
+  };
+
+  // type is one of the loaders above; fallback describes what the game does without the asset
+  function load(type, url, { label = url, required: isRequired = false, fallback = 'Skipped' } = {}) {
+    const promise = new Promise((resolve, reject) => {
+      loaders[type].load(url, resolve, undefined, (error) => {
+        console.error(`Error loading ${label} (${url}):`, error);
+        const failure = { label, url, fallback, error };
+        failures.push(failure);
+        if (onFailure) onFailure(failure);
+        reject(error);
+      });
+    });
+    if (isRequired) required.push(promise);
+    return promise;
+  }
+
+  return {
+    load,
+    // Resolves with the list of failures once every required asset has loaded or failed.
+    // Call it after all the required loads have been started.
+    ready() {
+      return Promise.allSettled(required).then(() => {
+        if (onProgress) onProgress(1);
+        return failures.slice();
+      });
+    },
+    get failures() {
+      return failures.slice();
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// Audio manager.
+// Sounds are routed through two buses - music and SFX - into the listener's
+// master gain, so each has its own volume. Every sound effect has a small pool
+// of voices so quick repeats overlap instead of cutting each other off; when all
+// voices are busy the oldest one is restarted. Hazard sounds are positional and
+// the chef's station sizzles from the far end of the board.
+
+import * as THREE from 'three';
+import {
+  synthJump,
+  synthTrapSnap,
+  synthKnifeSlice,
+  synthPinBonk,
+  synthGameOver,
+  synthHighScore,
+  synthAchievement,
+  synthSizzle,
+  synthMusic
+} from './synth.js';
+
+// Each sound comes from a file (url) or is synthesized at startup (synth).
+// voices is how many copies can play at once.
+export const SOUNDS = {
+  collect: { url: '/sounds/collect.mp3', volume: 0.5, voices: 4 },
+  jump: { synth: synthJump, volume: 0.35, voices: 2 },
+  trapSnap: { synth: synthTrapSnap, volume: 0.8, voices: 3, positional: true },
+  knifeSlice: { synth: synthKnifeSlice, volume: 0.6, voices: 3, positional: true },
+  pinBonk: { synth: synthPinBonk, volume: 0.7, voices: 2, positional: true },
+  gameOver: { synth: synthGameOver, volume: 0.6, voices: 1 },
+  highScore: { synth: synthHighScore, volume: 0.6, voices: 1 },
+  achievement: { synth: synthAchievement, volume: 0.5, voices: 1 }
+};
+
+const CHEF_STATION = new THREE.Vector3(0, 10, -80);
+
+export const DEFAULT_AUDIO_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+const SETTINGS_KEY = 'poppyAudio';
+
+export function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved === 'object') return { ...DEFAULT_AUDIO_SETTINGS, ...saved };
+  } catch (error) {
+    console.error('Error reading audio settings, using defaults:', error);
+  }
+  return { ...DEFAULT_AUDIO_SETTINGS };
+}
+
+export function saveAudioSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// listener is the THREE.AudioListener on the camera, assets the asset manager
+export function createAudioManager(listener, scene, assets) {
+  const context = listener.context;
+  const settings = loadAudioSettings();
+  const buses = {
+    music: context.createGain(),
+    sfx: context.createGain()
+  };
+  Object.values(buses).forEach(bus => bus.connect(listener.getInput()));
+
+  // Plugs a THREE.Audio into one of the buses instead of straight into the listener
+  function route(audio, bus) {
+    audio.gain.disconnect();
+    audio.gain.connect(buses[bus]);
+    return audio;
+  }
+
+  function createVoice(sound) {
+    const voice = route(sound.positional ? new THREE.PositionalAudio(listener) : new THREE.Audio(listener), 'sfx');
+    voice.setVolume(sound.volume);
+    if (sound.positional) {
+      voice.setRefDistance(15);
+      scene.add(voice);
+    }
+    voice.startedAt = 0;
+    return voice;
+  }
+
+  const voices = {};
+  Object.entries(SOUNDS).forEach(([name, sound]) => {
+    voices[name] = Array.from({ length: sound.voices }, () => createVoice(sound));
+    const setBuffer = (buffer) => voices[name].forEach(voice => voice.setBuffer(buffer));
+
+    if (sound.synth) {
+      setBuffer(sound.synth(context));
+    } else {
+      assets.load('audio', sound.url, {
+        label: `Sound "${name}"`,
+        fallback: 'It will be silent.'
+      }).then(setBuffer, () => {
+        // Voices without a buffer are skipped
+      });
+    }
+  });
+
+  // Looping background: the music, and the sizzle from the chef's station
+  const music = route(new THREE.Audio(listener), 'music');
+  music.setBuffer(synthMusic(context));
+  music.setLoop(true);
+  music.setVolume(0.6);
+
+  const sizzle = route(new THREE.PositionalAudio(listener), 'sfx');
+  sizzle.setBuffer(synthSizzle(context));
+  sizzle.setLoop(true);
+  sizzle.setRefDistance(30);
+  sizzle.setVolume(0.5);
+  sizzle.position.copy(CHEF_STATION);
+  scene.add(sizzle);
+  const loops = [music, sizzle];
+
+  function applySettings() {
+    listener.setMasterVolume(settings.muted ? 0 : settings.master);
+    buses.music.gain.value = settings.music;
+    buses.sfx.gain.value = settings.sfx;
+  }
+
+  function play(name, position = null) {
+    const pool = voices[name];
+    if (!pool || !pool[0].buffer) return;
+
+    // A free voice, or else the one that has been playing the longest
+    const voice = pool.find(candidate => !candidate.isPlaying) ??
+      pool.reduce((oldest, candidate) => (candidate.startedAt < oldest.startedAt ? candidate : oldest));
+    if (voice.isPlaying) voice.stop();
+    if (position && voice.isPositionalAudio) {
+      voice.position.copy(position);
+      voice.updateMatrixWorld();
+    }
+    voice.startedAt = context.currentTime;
+    voice.play();
+  }
+
+  // Browsers (iOS Safari especially) keep audio suspended until a user gesture.
+  // iOS also needs a sound started inside the gesture, and can suspend the
+  // context again after a phone call, so this keeps listening.
+  let unlocked = false;
+  function unlock() {
+    if (context.state !== 'running') context.resume();
+    if (!unlocked) {
+      const source = context.createBufferSource();
+      source.buffer = context.createBuffer(1, 1, context.sampleRate);
+      source.connect(context.destination);
+      source.start(0);
+      unlocked = true;
+    }
+  }
+  ['touchend', 'pointerdown', 'keydown'].forEach(type => {
+    window.addEventListener(type, unlock, { capture: true });
+  });
+
+  applySettings();
+
+  return {
+    play,
+    startLoops() {
+      loops.forEach(loop => {
+        if (!loop.isPlaying) loop.play();
+      });
+    },
+    pauseLoops() {
+      loops.forEach(loop => {
+        if (loop.isPlaying) loop.pause();
+      });
+    },
+    stopLoops() {
+      loops.forEach(loop => {
+        if (loop.isPlaying || loop.offset) loop.stop();
+      });
+    },
+    get settings() {
+      return { ...settings };
+    },
+    // Partial updates, e.g. { music: 0.3 } or { muted: true }
+    setSettings(changes) {
+      Object.assign(settings, changes);
+      saveAudioSettings(settings);
+      applySettings();
+    },
+    toggleMute() {
+      this.setSettings({ muted: !settings.muted });
+      return settings.muted;
+    }
+  };
+}
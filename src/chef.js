@@ -0,0 +1,99 @@
+// Chef attacks.
+// Every knife the director (or a level) asks for is thrown or slammed down by the
+// chef. An attack winds up first - the chef raises an arm and a shadow marks where
+// the knife will land - so Poppy gets a warning. Thrown knives then fly to the
+// board; slams wind up quicker and land straight away.
+// Knives without an authored yaw are aimed at Poppy's side of the board when the
+// wind-up starts. Aggression grows with the difficulty level: shorter wind-ups,
+// more slams and follow-up throws.
+// This is simulation state only; chefRig.js draws it.
+
+export const CHEF_CONFIG = {
+  windup: { start: 1000, end: 550 }, // ms from the arm going up to the knife leaving the hand
+  slamWindupFactor: 0.7, // Slams wind up faster...
+  flightMs: 450, // ...because thrown knives still have to fly to the board
+  slamChance: { start: 0.15, end: 0.6 },
+  followUpChance: { start: 0, end: 0.45 }, // Chance of a second knife after an attack outside a wave
+  minGap: 1200, // ms between knives landing, the same spacing the director keeps in volleys
+  targetSwitchMs: 6000 // In two-player games the chef picks on each mouse in turn for this long
+};
+
+function lerpRange(range, t) {
+  return range.start + (range.end - range.start) * t;
+}
+
+// The blade covers the side of the knife that Poppy is on
+function aimAt(spawn, playerX) {
+  return playerX >= spawn.x ? 0 : Math.PI;
+}
+
+// The player the chef is after right now, from the players still in the game
+export function chefTarget(players, simTime, config = CHEF_CONFIG) {
+  return players[Math.floor(simTime / config.targetSwitchMs) % players.length];
+}
+
+export function createChef(config = CHEF_CONFIG, random = Math.random) {
+  const attacks = []; // Queued and in-progress attacks, in landing order
+  let lastLandAt = -Infinity;
+  let lastReleaseAt = -Infinity;
+  let lastReleased = null; // { kind, releaseAt } of the most recent knife to leave the chef's hand
+
+  // spawn is the director's knife spawn; level is the difficulty level (0..1).
+  // Follow-ups are skipped during waves, which are built to always have a way through.
+  function requestAttack(spawn, simTime, level, allowFollowUp = true) {
+    const kind = random() < lerpRange(config.slamChance, level) ? 'slam' : 'throw';
+    const flight = kind === 'throw' ? config.flightMs : 0;
+    const windup = lerpRange(config.windup, level) * (kind === 'slam' ? config.slamWindupFactor : 1);
+
+    // One arm: an attack can't wind up before the last one has left the hand
+    const landAt = Math.max(
+      simTime + windup + flight,
+      lastLandAt + config.minGap,
+      lastReleaseAt + windup + flight
+    );
+    const attack = {
+      kind,
+      spawn: { ...spawn },
+      windupStart: landAt - flight - windup,
+      releaseAt: landAt - flight,
+      landAt
+    };
+    attacks.push(attack);
+    lastLandAt = landAt;
+    lastReleaseAt = attack.releaseAt;
+
+    if (allowFollowUp && random() < lerpRange(config.followUpChance, level)) {
+      requestAttack({ ...spawn, yaw: undefined }, simTime, level, false);
+    }
+  }
+
+  // Advances to simTime and returns the knife spawns that land this tick
+  function update(simTime, playerX) {
+    attacks.forEach(attack => {
+      if (attack.spawn.yaw === undefined && simTime >= attack.windupStart) {
+        attack.spawn.yaw = aimAt(attack.spawn, playerX);
+      }
+      if (simTime >= attack.releaseAt && (!lastReleased || lastReleased.releaseAt < attack.releaseAt)) {
+        lastReleased = { kind: attack.kind, releaseAt: attack.releaseAt };
+      }
+    });
+
+    const landed = [];
+    while (attacks.length && attacks[0].landAt <= simTime) {
+      landed.push(attacks.shift().spawn);
+    }
+    return landed;
+  }
+
+  return {
+    requestAttack,
+    update,
+    // Attacks that have started winding up, for drawing the chef and the landing markers
+    activeAttacks(simTime) {
+      return attacks.filter(attack => attack.windupStart <= simTime);
+    },
+    get lastReleased() {
+      return lastReleased;
+    }
+  };
+}
@@ -0,0 +1,207 @@
+// Chef visuals.
+// The chef model is a single static mesh, so all of his acting is procedural: the
+// whole body bobs, shakes and leans, and a separate throwing arm holds the knife.
+// Landing spots get a soft shadow that darkens as the attack gets closer, and
+// thrown knives fly from his hand in an arc to where the chop starts.
+
+import * as THREE from 'three';
+import { createHitbox } from './collision.js';
+import { HAZARD_CONFIG, ChoppingKnife } from './hazards.js';
+import { createShadowTexture } from './hazardViews.js';
+
+const KNIFE_Y = HAZARD_CONFIG.knife.restY;
+const CHOP_Y = KNIFE_Y + HAZARD_CONFIG.knife.chopHeight; // Where a ChoppingKnife starts falling from
+const MARKER_SIZE = HAZARD_CONFIG.knife.shadow;
+const SWING_MS = 200; // Arm swing after a release
+const RECOVER_MS = 400; // Arm back down after the swing
+const ANNOYED_MS = 700;
+
+// Arm angles around the shoulder's X axis: 0 hangs down, PI points up,
+// 1.5 * PI points forward at the board
+const ARM_RAISED = { throw: Math.PI * 0.85, slam: Math.PI };
+const ARM_FOLLOW_THROUGH = Math.PI * 1.6;
+
+// A chunky cartoon knife, pointing along +Y from the handle
+function createPropKnife(length) {
+  const knife = new THREE.Group();
+  const handle = new THREE.Mesh(
+    new THREE.BoxGeometry(length * 0.12, length * 0.35, length * 0.12),
+    new THREE.MeshStandardMaterial({ color: 0x4E342E, roughness: 0.8 })
+  );
+  handle.position.y = length * 0.175;
+  const blade = new THREE.Mesh(
+    new THREE.BoxGeometry(length * 0.2, length * 0.65, length * 0.03),
+    new THREE.MeshStandardMaterial({ color: 0xCFD8DC, metalness: 0.9, roughness: 0.25 })
+  );
+  blade.position.y = length * 0.675;
+  knife.add(handle, blade);
+  return knife;
+}
+
+function easeOut(t) {
+  return 1 - (1 - t) * (1 - t);
+}
+
+export function createChefRig(scene) {
+  const root = new THREE.Group();
+  scene.add(root);
+
+  const shoulder = new THREE.Group();
+  shoulder.visible = false; // Until there's a chef to attach it to
+  root.add(shoulder);
+  let armLength = 12;
+  let heldKnife = null;
+  let flyingKnife = null;
+  const releasePoint = new THREE.Vector3();
+
+  const shadowMaterial = new THREE.MeshBasicMaterial({
+    map: createShadowTexture(),
+    transparent: true,
+    depthWrite: false
+  });
+  const markerGeometry = new THREE.PlaneGeometry(MARKER_SIZE.width, MARKER_SIZE.depth);
+  const markers = [];
+
+  let mood = 'idle';
+  let moodSince = 0;
+
+  function buildArm() {
+    shoulder.clear();
+    const arm = new THREE.Mesh(
+      new THREE.CylinderGeometry(armLength * 0.09, armLength * 0.07, armLength, 12),
+      new THREE.MeshStandardMaterial({ color: 0xF5F5F5, roughness: 0.9 }) // Chef's whites
+    );
+    arm.position.y = -armLength / 2;
+    const hand = new THREE.Mesh(
+      new THREE.SphereGeometry(armLength * 0.1, 12, 8),
+      new THREE.MeshStandardMaterial({ color: 0xE0AC8A, roughness: 0.7 })
+    );
+    hand.position.y = -armLength;
+    heldKnife = createPropKnife(armLength * 0.6);
+    heldKnife.rotation.x = Math.PI; // Blade pointing away from the shoulder, like the arm
+    heldKnife.position.y = -armLength;
+    shoulder.add(arm, hand, heldKnife);
+  }
+
+  function marker(index) {
+    if (!markers[index]) {
+      const mesh = new THREE.Mesh(markerGeometry, shadowMaterial.clone());
+      mesh.rotation.x = -Math.PI / 2;
+      scene.add(mesh);
+      markers[index] = mesh;
+    }
+    return markers[index];
+  }
+
+  // Where the blade of a landed knife will be
+  function bladeCenter(spawn, target) {
+    const hitbox = createHitbox(ChoppingKnife.hitbox, spawn.yaw ?? 0);
+    return target.set(spawn.x + hitbox.worldOffsetX, KNIFE_Y, spawn.z + hitbox.worldOffsetZ);
+  }
+
+  const bladeTarget = new THREE.Vector3();
+
+  function armAngle(attacks, lastReleased, simTime, now) {
+    const windingUp = attacks.find(attack => simTime < attack.releaseAt);
+    if (windingUp) {
+      const progress = (simTime - windingUp.windupStart) / (windingUp.releaseAt - windingUp.windupStart);
+      return ARM_RAISED[windingUp.kind] * easeOut(Math.min(1, progress));
+    }
+    if (lastReleased) {
+      const since = simTime - lastReleased.releaseAt;
+      const raised = ARM_RAISED[lastReleased.kind];
+      if (since < SWING_MS) return THREE.MathUtils.lerp(raised, ARM_FOLLOW_THROUGH, easeOut(since / SWING_MS));
+      if (since < SWING_MS + RECOVER_MS) {
+        return THREE.MathUtils.lerp(ARM_FOLLOW_THROUGH, Math.PI * 2, (since - SWING_MS) / RECOVER_MS);
+      }
+    }
+    if (mood === 'celebrate') return Math.PI + Math.sin(now * 0.012) * 0.35; // Waving
+    return Math.sin(now * 0.002) * 0.05;
+  }
+
+  return {
+    // Takes over the loaded chef model, which should already be scaled and placed
+    attach(model) {
+      root.position.copy(model.position);
+      model.position.set(0, 0, 0);
+      root.add(model);
+      root.updateMatrixWorld(true);
+
+      // Shoulder on the chef's right (screen right), towards the front, at chest height
+      const box = new THREE.Box3().setFromObject(model);
+      const size = box.getSize(new THREE.Vector3());
+      armLength = size.y * 0.3;
+      shoulder.position.set(
+        box.max.x * 0.75 - root.position.x,
+        box.min.y + size.y * 0.72 - root.position.y,
+        box.max.z * 0.5 - root.position.z
+      );
+      buildArm();
+      shoulder.visible = true;
+
+      flyingKnife = createPropKnife(armLength * 0.6);
+      flyingKnife.visible = false;
+      scene.add(flyingKnife);
+    },
+    // 'idle', 'annoyed' (Poppy took his cheese), 'celebrate' (Poppy is out) or 'sulk' (level cleared)
+    react(newMood) {
+      if (mood === 'celebrate' || mood === 'sulk') {
+        if (newMood === 'annoyed') return; // Game over moods last until the next run
+      }
+      mood = newMood;
+      moodSince = performance.now();
+    },
+    // attacks from chef.activeAttacks(); simTime drives the attack timing,
+    // the wall clock drives idle and mood animation so it keeps going when the game stops
+    update(attacks, lastReleased, simTime, playerX) {
+      const now = performance.now();
+      const moodTime = now - moodSince;
+      if (mood === 'annoyed' && moodTime > ANNOYED_MS) mood = 'idle';
+
+      // Whole-body acting
+      root.position.y = Math.sin(now * 0.0015) * 0.3;
+      root.rotation.set(0, THREE.MathUtils.clamp(playerX * 0.02, -0.15, 0.15), 0); // Keeps an eye on Poppy
+      if (mood === 'annoyed') {
+        root.rotation.z = Math.sin(moodTime * 0.05) * 0.03 * (1 - moodTime / ANNOYED_MS);
+      } else if (mood === 'celebrate') {
+        root.position.y = Math.abs(Math.sin(now * 0.006)) * 2;
+      } else if (mood === 'sulk') {
+        root.rotation.x = Math.min(1, moodTime / 600) * 0.12;
+      }
+
+      // Throwing arm
+      shoulder.rotation.x = armAngle(attacks, lastReleased, simTime, now);
+      if (heldKnife) heldKnife.visible = attacks.some(attack => simTime < attack.releaseAt);
+
+      // Landing shadows, darkening and tightening as the knife gets closer
+      let markerCount = 0;
+      attacks.forEach(attack => {
+        const mesh = marker(markerCount++);
+        const progress = Math.min(1, (simTime - attack.windupStart) / (attack.landAt - attack.windupStart));
+        bladeCenter(attack.spawn, mesh.position);
+        mesh.position.y = KNIFE_Y - 0.05;
+        mesh.rotation.z = attack.spawn.yaw ?? 0;
+        mesh.scale.setScalar(1.4 - 0.4 * progress);
+        mesh.material.opacity = 0.2 + 0.6 * progress;
+        mesh.visible = true;
+      });
+      for (let i = markerCount; i < markers.length; i++) markers[i].visible = false;
+
+      // Thrown knife on its way to the board, handing over to the chop
+      const inFlight = attacks.find(attack => simTime >= attack.releaseAt);
+      if (flyingKnife) {
+        flyingKnife.visible = Boolean(inFlight);
+        if (inFlight) {
+          const t = (simTime - inFlight.releaseAt) / (inFlight.landAt - inFlight.releaseAt);
+          shoulder.getWorldPosition(releasePoint);
+          releasePoint.y += armLength;
+          bladeCenter(inFlight.spawn, bladeTarget);
+          bladeTarget.y = CHOP_Y;
+          flyingKnife.position.lerpVectors(releasePoint, bladeTarget, t);
+          flyingKnife.position.y += Math.sin(Math.PI * t) * armLength; // Arc
+          flyingKnife.rotation.x = -t * Math.PI * 4; // End over end
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// Collision shapes.
+// Poppy is a capsule lying along the Z axis; everything Poppy can touch gets a hitbox
+// that matches what the player sees, built once at spawn time. Hit tests are plain
+// math on positions, so they never depend on rebuilding bounding boxes from meshes.
+//
+// Hitbox shapes:
+//   sphere - { shape: 'sphere', offsetY, radius }
+//   box    - { shape: 'box', offsetX, offsetY, offsetZ, halfX, halfY, halfZ, yaw } (yaw rotates around Y)
+
+// Poppy's body, relative to her simulated position
+export const PLAYER_SHAPE = {
+  offsetY: 0.5, // Capsule axis height above player.y
+  halfLength: 0.9, // Half the nose-to-rump length of the axis
+  radius: 0.55
+};
+
+// Sliding: lower, thinner and a little longer, low enough to pass under a raised knife
+export const SLIDE_SHAPE = {
+  offsetY: 0.25,
+  halfLength: 1.0,
+  radius: 0.4
+};
+
+// Hitboxes for pickups, in world units (already scaled like the spawned models).
+// Hazard classes carry their own (see hazards.js)
+export const HITBOXES = {
+  cheese: { shape: 'sphere', offsetY: 0, radius: 1.1 },
+  powerup: { shape: 'sphere', offsetY: 0, radius: 1.2 }
+};
+
+// Builds the hitbox for a spawned object from a HITBOXES type or a hitbox shape.
+// Trig for the yaw is done here, once.
+export function createHitbox(type, yaw = 0) {
+  const base = typeof type === 'string' ? HITBOXES[type] : type;
+  if (!base) throw new Error(`No hitbox defined for "${type}"`);
+  if (base.shape === 'sphere') return { ...base };
+
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  return {
+    ...base,
+    yaw,
+    cos,
+    sin,
+    // Offset rotated into world space
+    worldOffsetX: base.offsetX * cos + base.offsetZ * sin,
+    worldOffsetZ: -base.offsetX * sin + base.offsetZ * cos
+  };
+}
+
+export function playerCapsule(x, y, z, shape = PLAYER_SHAPE) {
+  const axisY = y + shape.offsetY;
+  return {
+    ax: x, ay: axisY, az: z - shape.halfLength,
+    bx: x, by: axisY, bz: z + shape.halfLength,
+    radius: shape.radius
+  };
+}
+
+function distanceSqToSegment(px, py, pz, capsule) {
+  const dx = capsule.bx - capsule.ax;
+  const dy = capsule.by - capsule.ay;
+  const dz = capsule.bz - capsule.az;
+  const lengthSq = dx * dx + dy * dy + dz * dz;
+  let t = lengthSq > 0 ? ((px - capsule.ax) * dx + (py - capsule.ay) * dy + (pz - capsule.az) * dz) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const cx = capsule.ax + dx * t - px;
+  const cy = capsule.ay + dy * t - py;
+  const cz = capsule.az + dz * t - pz;
+  return cx * cx + cy * cy + cz * cz;
+}
+
+// Squared distance from a world point to a (possibly rotated) box
+function distanceSqToBox(px, py, pz, box, centerX, centerY, centerZ) {
+  // Move the point into the box's local frame
+  const rx = px - centerX;
+  const rz = pz - centerZ;
+  const localX = rx * box.cos - rz * box.sin;
+  const localZ = rx * box.sin + rz * box.cos;
+  const gapX = Math.max(0, Math.abs(localX) - box.halfX);
+  const gapY = Math.max(0, Math.abs(py - centerY) - box.halfY);
+  const gapZ = Math.max(0, Math.abs(localZ) - box.halfZ);
+  return gapX * gapX + gapY * gapY + gapZ * gapZ;
+}
+
+// The distance from a point on the capsule axis to a convex box is convex along the
+// axis, so a ternary search finds the closest approach.
+function capsuleHitsBox(capsule, box, centerX, centerY, centerZ) {
+  const radiusSq = capsule.radius * capsule.radius;
+  const at = (t) => distanceSqToBox(
+    capsule.ax + (capsule.bx - capsule.ax) * t,
+    capsule.ay + (capsule.by - capsule.ay) * t,
+    capsule.az + (capsule.bz - capsule.az) * t,
+    box, centerX, centerY, centerZ
+  );
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 24; i++) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (at(a) < at(b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+  return Math.min(at(0), at(1), at((low + high) / 2)) <= radiusSq;
+}
+
+// entity: anything with x, y, z and a hitbox from createHitbox()
+export function capsuleHits(capsule, entity) {
+  const hitbox = entity.hitbox;
+  if (hitbox.shape === 'sphere') {
+    const reach = capsule.radius + hitbox.radius;
+    return distanceSqToSegment(entity.x, entity.y + hitbox.offsetY, entity.z, capsule) <= reach * reach;
+  }
+  return capsuleHitsBox(
+    capsule,
+    hitbox,
+    entity.x + hitbox.worldOffsetX,
+    entity.y + hitbox.offsetY,
+    entity.z + hitbox.worldOffsetZ
+  );
+}
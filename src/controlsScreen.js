@@ -0,0 +1,237 @@
+// Settings screen: lets players remap the keyboard (player 2 has her own table
+// for two-player games), pick a touch scheme, mix the sound, choose the graphics
+// quality and set the accessibility options. Everything is saved to localStorage.
+
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  MOVE_ACTIONS,
+  defaultBindings,
+  describeKey,
+  rebind,
+  saveBindings
+} from './input.js';
+import { TOUCH_SCHEMES } from './gestures.js';
+import { QUALITY_LEVELS, QUALITY_PRESETS } from './quality.js';
+import { REDUCED_MOTION_OPTIONS } from './accessibility.js';
+
+export function setupControlsScreen({ input, input2, gestures, audio, quality, accessibility }) {
+  const screen = document.getElementById('controls-screen');
+  const tables = [
+    { player: 1, input, actions: ACTIONS, body: document.querySelector('#bindings-table tbody') },
+    { player: 2, input: input2, actions: MOVE_ACTIONS, body: document.querySelector('#bindings-table-p2 tbody') }
+  ];
+  const schemeSelect = document.getElementById('touch-scheme');
+  const tiltSettings = document.getElementById('tilt-settings');
+  const tiltStatus = document.getElementById('tilt-status');
+  let listening = null; // { table, action, slot, button } while waiting for a key
+
+  function render() {
+    tables.forEach(renderTable);
+  }
+
+  function renderTable(table) {
+    const bindings = table.input.bindings;
+    table.body.replaceChildren(...table.actions.map(action => {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = ACTION_LABELS[action];
+      row.appendChild(label);
+
+      [0, 1].forEach(slot => {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'binding-button';
+        button.textContent = describeKey(bindings[action][slot]);
+        button.addEventListener('click', () => startListening(table, action, slot, button));
+        cell.appendChild(button);
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+  }
+
+  function startListening(table, action, slot, button) {
+    stopListening();
+    listening = { table, action, slot, button };
+    button.textContent = 'Press a key (Esc to cancel)';
+    button.classList.add('listening');
+  }
+
+  function stopListening() {
+    if (!listening) return;
+    listening.button.classList.remove('listening');
+    listening = null;
+    render();
+  }
+
+  // Captures the next key before the game sees it
+  window.addEventListener('keydown', (event) => {
+    if (!listening) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (event.key !== 'Escape') {
+      const { table } = listening;
+      const bindings = rebind(structuredClone(table.input.bindings), listening.action, listening.slot, event.key);
+      table.input.setBindings(bindings);
+      saveBindings(bindings, table.player);
+    }
+    stopListening();
+  }, true);
+
+  function showTiltSettings() {
+    tiltSettings.style.display = gestures.scheme === 'tilt' ? 'flex' : 'none';
+  }
+
+  Object.entries(TOUCH_SCHEMES).forEach(([scheme, label]) => {
+    schemeSelect.add(new Option(label, scheme));
+  });
+
+  schemeSelect.addEventListener('change', async () => {
+    const scheme = schemeSelect.value;
+    if (scheme === 'tilt' && !(await gestures.requestTiltPermission())) {
+      tiltStatus.textContent = 'Tilt controls are not available on this device.';
+      schemeSelect.value = gestures.scheme;
+      return;
+    }
+    gestures.setScheme(scheme);
+    tiltStatus.textContent = '';
+    showTiltSettings();
+  });
+
+  document.getElementById('calibrate-tilt').addEventListener('click', async () => {
+    await gestures.requestTiltPermission();
+    tiltStatus.textContent = gestures.calibrate()
+      ? 'Calibrated - hold the device like this to run straight.'
+      : 'No tilt reading yet. Move the device a little and try again.';
+  });
+
+  // Volume sliders go from 0 to 100
+  const sliders = {
+    master: document.getElementById('volume-master'),
+    music: document.getElementById('volume-music'),
+    sfx: document.getElementById('volume-sfx')
+  };
+  const muteToggle = document.getElementById('mute-toggle');
+
+  function showAudioSettings() {
+    const settings = audio.settings;
+    Object.entries(sliders).forEach(([bus, slider]) => {
+      slider.value = Math.round(settings[bus] * 100);
+    });
+    muteToggle.checked = settings.muted;
+  }
+
+  Object.entries(sliders).forEach(([bus, slider]) => {
+    slider.addEventListener('input', () => {
+      audio.setSettings({ [bus]: slider.value / 100 });
+    });
+  });
+  muteToggle.addEventListener('change', () => {
+    audio.setSettings({ muted: muteToggle.checked });
+  });
+
+  const qualitySelect = document.getElementById('quality-select');
+  const fpsToggle = document.getElementById('fps-toggle');
+
+  function showQualitySettings() {
+    const settings = quality.settings;
+    const autoLabel = QUALITY_PRESETS[settings.autoLevel].label;
+    qualitySelect.replaceChildren(
+      new Option(`Auto (now ${autoLabel})`, 'auto'),
+      ...QUALITY_LEVELS.map(level => new Option(QUALITY_PRESETS[level].label, level))
+    );
+    qualitySelect.value = settings.preset;
+    fpsToggle.checked = settings.showFps;
+  }
+
+  qualitySelect.addEventListener('change', () => {
+    quality.setPreset(qualitySelect.value);
+  });
+  fpsToggle.addEventListener('change', () => {
+    quality.setShowFps(fpsToggle.checked);
+  });
+
+  // Percentages on the sliders, shares in the settings
+  const motionSelect = document.getElementById('reduced-motion');
+  const contrastToggle = document.getElementById('high-contrast');
+  const assistToggle = document.getElementById('assist-toggle');
+  const assistSettings = document.getElementById('assist-settings');
+  const autoSteerToggle = document.getElementById('auto-steer');
+  const percentSliders = {
+    uiScale: document.getElementById('ui-scale'),
+    gameSpeed: document.getElementById('game-speed'),
+    hitTolerance: document.getElementById('hit-tolerance')
+  };
+
+  Object.entries(REDUCED_MOTION_OPTIONS).forEach(([value, label]) => {
+    motionSelect.add(new Option(label, value));
+  });
+
+  function showAccessibilitySettings() {
+    const settings = accessibility.settings;
+    motionSelect.value = settings.reducedMotion;
+    contrastToggle.checked = settings.highContrast;
+    assistToggle.checked = settings.assist;
+    autoSteerToggle.checked = settings.autoSteer;
+    Object.entries(percentSliders).forEach(([key, slider]) => {
+      slider.value = Math.round(settings[key] * 100);
+    });
+    assistSettings.style.display = settings.assist ? 'grid' : 'none';
+  }
+
+  motionSelect.addEventListener('change', () => {
+    accessibility.set({ reducedMotion: motionSelect.value });
+  });
+  contrastToggle.addEventListener('change', () => {
+    accessibility.set({ highContrast: contrastToggle.checked });
+  });
+  assistToggle.addEventListener('change', () => {
+    accessibility.set({ assist: assistToggle.checked });
+    showAccessibilitySettings();
+  });
+  autoSteerToggle.addEventListener('change', () => {
+    accessibility.set({ autoSteer: autoSteerToggle.checked });
+  });
+  Object.entries(percentSliders).forEach(([key, slider]) => {
+    slider.addEventListener('input', () => {
+      accessibility.set({ [key]: slider.value / 100 });
+    });
+  });
+
+  function open() {
+    render();
+    schemeSelect.value = gestures.scheme;
+    tiltStatus.textContent = '';
+    showTiltSettings();
+    showAudioSettings();
+    showQualitySettings();
+    showAccessibilitySettings();
+    screen.style.display = 'flex';
+  }
+
+  document.getElementById('controls-button').addEventListener('click', open);
+  document.getElementById('pause-settings-button').addEventListener('click', open);
+
+  document.getElementById('close-controls').addEventListener('click', () => {
+    stopListening();
+    screen.style.display = 'none';
+  });
+
+  document.getElementById('reset-bindings').addEventListener('click', () => {
+    tables.forEach(table => {
+      const bindings = defaultBindings(table.player);
+      table.input.setBindings(bindings);
+      saveBindings(bindings, table.player);
+    });
+    stopListening();
+    render();
+  });
+
+  return {
+    isOpen() {
+      return screen.style.display === 'flex';
+    }
+  };
+}
@@ -0,0 +1,225 @@
+// Difficulty director.
+// Ramps scroll speed and spawn density as the run goes on, and schedules hazard
+// "waves" (trap corridors, knife volleys) with cheese rewards after them.
+// It only decides *what* to spawn and *where* - game.js creates the actual objects.
+
+// Every tunable number for the difficulty curve lives here
+export const DIFFICULTY_CONFIG = {
+  // Difficulty level goes from 0 to 1, driven by whichever is further along
+  rampTime: 180000, // ms of play until full difficulty
+  rampScore: 60, // cheese eaten until full difficulty
+  rampExponent: 1.4, // > 1 keeps the early game gentle and steepens later
+
+  // Scroll speed in units per tick (objects move speed * 4 per tick)
+  scrollSpeed: { start: 0.12, end: 0.22 },
+
+  // Time between ambient spawns in ms, at level 0 and level 1
+  spawnIntervals: {
+    cheese: { start: 1790, end: 1200 },
+    trap: { start: 3525, end: 1900 },
+    knife: { start: 5765, end: 3200 },
+    rollingPin: { start: 9500, end: 5500 }
+  },
+
+  // Share of ambient knives that stop at head height, to slide under
+  raisedKnifeChance: { start: 0.1, end: 0.35 },
+
+  // Rare power-up spawns
+  powerUps: {
+    interval: { start: 16000, end: 11000 }, // ms between power-ups
+    weights: { magnet: 3, shield: 2, golden: 2, slowTime: 2 } // Relative odds of each kind
+  },
+
+  waves: {
+    firstWaveAt: 20000, // ms into the run
+    gap: { start: 22000, end: 11000 }, // ms between the end of one wave and the next
+    clearance: 1500, // ms without ambient hazards before and after a wave, so nothing blocks its way through
+    types: { trapCorridor: 3, knifeVolley: 2 }, // Relative weights
+
+    trapCorridor: {
+      rows: { start: 4, end: 9 },
+      rowInterval: { start: 950, end: 650 }, // ms between rows
+      minRowInterval: 500 // Poppy needs ~333ms to cross one trap slot; never go below this
+    },
+    knifeVolley: {
+      knives: { start: 2, end: 5 },
+      interval: { start: 1700, end: 1300 }, // ms between knives
+      minInterval: 1200 // A full jump takes ~900ms; leave time to land and jump again
+    },
+
+    rewardCheese: { start: 3, end: 6 }, // Cheese trail after each wave
+    rewardInterval: 300 // ms between reward cheese
+  }
+};
+
+// Spawn positions on the board
+export const SPAWN_Z = -70;
+export const TRAP_SLOTS = [-6, 0, 6]; // A scaled mousetrap is ~6 units wide, so these cover the board
+const CHEESE_SPREAD = 12;
+
+function lerpRange(range, t) {
+  return range.start + (range.end - range.start) * t;
+}
+
+export function difficultyLevel(config, simTime, score) {
+  const progress = Math.min(1, Math.max(simTime / config.rampTime, score / config.rampScore));
+  return Math.pow(progress, config.rampExponent);
+}
+
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights);
+  let roll = random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [name, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return name;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Wave builders return events relative to the wave start: { at, spawns: [...] }
+// Each one is built so that there is always a way through.
+const waveBuilders = {
+  // Rows of traps with one open slot. The open slot moves at most one slot per row
+  // and rows are far enough apart in time for Poppy to reach it.
+  trapCorridor(config, level, random) {
+    const settings = config.waves.trapCorridor;
+    const rows = Math.round(lerpRange(settings.rows, level));
+    const interval = Math.max(settings.minRowInterval, lerpRange(settings.rowInterval, level));
+    const events = [];
+    let gapSlot = Math.floor(random() * TRAP_SLOTS.length);
+
+    for (let row = 0; row < rows; row++) {
+      if (row > 0) {
+        const step = Math.floor(random() * 3) - 1; // -1, 0 or +1
+        gapSlot = Math.min(TRAP_SLOTS.length - 1, Math.max(0, gapSlot + step));
+      }
+      const spawns = TRAP_SLOTS
+        .filter((x, slot) => slot !== gapSlot)
+        .map(x => ({ type: 'trap', x, z: SPAWN_Z }));
+      events.push({ at: row * interval, spawns });
+    }
+
+    return { events, duration: rows * interval, exitX: TRAP_SLOTS[gapSlot] };
+  },
+
+  // The chef aims each knife at Poppy's side of the board. Jumping clears any knife, so
+  // space them far enough apart for Poppy to land in between, and drop a cheese in each gap as a reward.
+  knifeVolley(config, level, random) {
+    const settings = config.waves.knifeVolley;
+    const count = Math.round(lerpRange(settings.knives, level));
+    const interval = Math.max(settings.minInterval, lerpRange(settings.interval, level));
+    const events = [];
+
+    for (let i = 0; i < count; i++) {
+      events.push({ at: i * interval, spawns: [{ type: 'knife', x: 0, z: SPAWN_Z }] });
+      if (i < count - 1) {
+        const x = (random() - 0.5) * CHEESE_SPREAD;
+        events.push({ at: i * interval + interval / 2, spawns: [{ type: 'cheese', x, z: SPAWN_Z }] });
+      }
+    }
+
+    return { events, duration: count * interval, exitX: (random() - 0.5) * CHEESE_SPREAD };
+  }
+};
+
+export function createDirector(config = DIFFICULTY_CONFIG, random = Math.random) {
+  const nextAmbient = {};
+  let nextPowerUpAt = 0;
+  let nextWaveAt = 0;
+  let wave = null;
+  let level = 0;
+
+  function reset() {
+    Object.entries(config.spawnIntervals).forEach(([type, range]) => {
+      nextAmbient[type] = range.start;
+    });
+    nextPowerUpAt = config.powerUps.interval.start;
+    nextWaveAt = config.waves.firstWaveAt;
+    wave = null;
+    level = 0;
+  }
+
+  function ambientSpawn(type) {
+    // Same placement as the original spawners: random X, a little Z jitter to prevent merging.
+    // Knives are centred on the board; the chef decides which side the blade lands on
+    if (type === 'knife') {
+      const raised = random() < lerpRange(config.raisedKnifeChance, level);
+      return { type, x: 0, z: SPAWN_Z + (random() - 0.5) * 8, raised };
+    }
+    // Rolling pins start from one edge of the board, picked by the sign of x
+    if (type === 'rollingPin') {
+      return { type, x: random() < 0.5 ? -1 : 1, z: SPAWN_Z };
+    }
+    const x = (random() - 0.5) * CHEESE_SPREAD;
+    return { type, x, z: SPAWN_Z + (random() - 0.5) * 10 };
+  }
+
+  function startWave(simTime) {
+    const type = pickWeighted(config.waves.types, random);
+    const built = waveBuilders[type](config, level, random);
+
+    // Reward trail of cheese once the hazards have passed
+    const rewardCount = Math.round(lerpRange(config.waves.rewardCheese, level));
+    for (let i = 0; i < rewardCount; i++) {
+      built.events.push({
+        at: built.duration + i * config.waves.rewardInterval,
+        spawns: [{ type: 'cheese', x: built.exitX, z: SPAWN_Z }]
+      });
+    }
+
+    const start = simTime + config.waves.clearance;
+    wave = {
+      type,
+      start,
+      end: start + built.duration + rewardCount * config.waves.rewardInterval,
+      events: built.events.sort((a, b) => a.at - b.at).map(event => ({ ...event, at: start + event.at }))
+    };
+  }
+
+  function update(simTime, score) {
+    level = difficultyLevel(config, simTime, score);
+    const spawns = [];
+
+    if (!wave && simTime >= nextWaveAt) startWave(simTime);
+
+    // Ambient hazards hold off while a wave (plus its clearance) is running
+    const hazardsPaused = wave !== null;
+
+    Object.entries(config.spawnIntervals).forEach(([type, range]) => {
+      if (simTime < nextAmbient[type]) return;
+      if (type === 'cheese' || !hazardsPaused) spawns.push(ambientSpawn(type));
+      nextAmbient[type] = simTime + lerpRange(range, level);
+    });
+
+    if (simTime >= nextPowerUpAt) {
+      const kind = pickWeighted(config.powerUps.weights, random);
+      spawns.push({ type: 'powerup', kind, x: (random() - 0.5) * CHEESE_SPREAD, z: SPAWN_Z });
+      nextPowerUpAt = simTime + lerpRange(config.powerUps.interval, level);
+    }
+
+    if (wave) {
+      while (wave.events.length && wave.events[0].at <= simTime) {
+        spawns.push(...wave.events.shift().spawns);
+      }
+      if (simTime >= wave.end + config.waves.clearance) {
+        wave = null;
+        nextWaveAt = simTime + lerpRange(config.waves.gap, level);
+      }
+    }
+
+    return { spawns, scrollSpeed: lerpRange(config.scrollSpeed, level) };
+  }
+
+  reset();
+
+  return {
+    reset,
+    update,
+    get level() {
+      return level;
+    },
+    get wave() {
+      return wave ? wave.type : null;
+    }
+  };
+}
@@ -0,0 +1,303 @@
+// Particle and feedback effects.
+// Cheese crumbs, trap sparks and landing dust all share one THREE.Points buffer.
+// Each particle is written once when it's emitted (start, velocity, birth time,
+// life) and the vertex shader works out where it is and how faded it is, so
+// moving hundreds of them costs the CPU nothing per frame.
+// Floating "+1" numbers are sprites in world space that rise and fade, speed
+// lines streak past at high difficulty, and hits give the camera a short shake.
+// The quality level caps how many particles, numbers and lines there can be (see
+// QUALITY_PRESETS); reduced motion turns off the shake and the speed lines.
+// Effects run on their own clock, which main.js stops while the game is paused.
+
+import * as THREE from 'three';
+import { createPool } from './pool.js';
+
+export const EFFECTS_CONFIG = {
+  // Bursts: speed is units per second outwards, lift the share of it that goes up,
+  // drift a push down the board (dust stays where it was kicked up as the board moves)
+  crumbs: { count: 14, speed: 4, lift: 1, drift: 0, life: 0.6, size: 0.35, gravity: 12, colours: [0xFFD54F, 0xFFB300, 0xFFE082] },
+  sparks: { count: 18, speed: 7, lift: 1, drift: 0, life: 0.35, size: 0.25, gravity: 6, colours: [0xFFF59D, 0xFFFFFF, 0xFFAB40] },
+  dust: { count: 10, speed: 1.5, lift: 0.3, drift: 28, life: 0.7, size: 0.6, gravity: -0.5, colours: [0xBCAAA4, 0xD7CCC8] },
+  floatingText: { rise: 1.5, life: 0.9, scale: 1.6 },
+  speedLines: { from: 0.6, length: 6, speed: 90, near: 15, far: -90 }, // from: difficulty level they start at
+  shake: { offset: 0.35, decay: 2.5 } // Largest camera offset, and how fast a shake dies down per second
+};
+
+const PARTICLE_VERTEX_SHADER = `
+  attribute vec3 velocity;
+  attribute vec3 colour;
+  attribute float birth;
+  attribute float life;
+  attribute float size;
+  attribute float gravity;
+  uniform float time;
+  uniform float pointScale;
+  varying vec3 vColour;
+  varying float vAlpha;
+
+  void main() {
+    float age = time - birth;
+    float t = age / life;
+    vec3 moved = position + velocity * age - vec3(0.0, 0.5 * gravity * age * age, 0.0);
+    vec4 mvPosition = modelViewMatrix * vec4(moved, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = age >= 0.0 && t < 1.0 ? size * pointScale / -mvPosition.z : 0.0;
+    vColour = colour;
+    vAlpha = 1.0 - t;
+  }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+  varying vec3 vColour;
+  varying float vAlpha;
+
+  void main() {
+    float distance = length(gl_PointCoord - 0.5);
+    if (distance > 0.5 || vAlpha <= 0.0) discard;
+    gl_FragColor = vec4(vColour, vAlpha * smoothstep(0.5, 0.25, distance));
+  }
+`;
+
+// Birth time of unused slots, long enough ago that they've faded
+const UNBORN = -1e6;
+
+// capacity is the most particles any quality level allows
+function createParticles(scene, capacity) {
+  const geometry = new THREE.BufferGeometry();
+  const attribute = (name, size) => {
+    const buffer = new THREE.BufferAttribute(new Float32Array(capacity * size), size);
+    buffer.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute(name, buffer);
+    return buffer;
+  };
+  const position = attribute('position', 3);
+  const velocity = attribute('velocity', 3);
+  const colour = attribute('colour', 3);
+  const birth = attribute('birth', 1);
+  const life = attribute('life', 1);
+  const size = attribute('size', 1);
+  const gravity = attribute('gravity', 1);
+  birth.array.fill(UNBORN); // Nothing alive yet
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: { time: { value: 0 }, pointScale: { value: 1 } },
+    vertexShader: PARTICLE_VERTEX_SHADER,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER,
+    transparent: true,
+    depthWrite: false
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // The shader moves them, so the bounding sphere means nothing
+  scene.add(points);
+
+  const tint = new THREE.Color();
+  let next = 0;
+
+  return {
+    material,
+    // Writes one particle over the oldest, in a ring of limit slots
+    emit(x, y, z, vx, vy, vz, time, { life: lifetime, size: particleSize, gravity: fall, colours }, limit) {
+      const i = next;
+      next = (next + 1) % limit;
+      position.setXYZ(i, x, y, z);
+      velocity.setXYZ(i, vx, vy, vz);
+      tint.setHex(colours[Math.floor(Math.random() * colours.length)]);
+      colour.setXYZ(i, tint.r, tint.g, tint.b);
+      birth.setX(i, time);
+      life.setX(i, lifetime * (0.7 + Math.random() * 0.6));
+      size.setX(i, particleSize * (0.6 + Math.random() * 0.8));
+      gravity.setX(i, fall);
+      [position, velocity, colour, birth, life, size, gravity].forEach(buffer => {
+        buffer.needsUpdate = true;
+      });
+    },
+    // Slots past a lowered limit would otherwise stay alive until they fade
+    trim(limit) {
+      if (next >= limit) next = 0;
+      for (let i = limit; i < capacity; i++) birth.setX(i, UNBORN);
+      birth.needsUpdate = true;
+    },
+    clear() {
+      birth.array.fill(UNBORN);
+      birth.needsUpdate = true;
+    }
+  };
+}
+
+// Text drawn into a small canvas, shown as a sprite that always faces the camera
+function createTextSprite() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 64;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+  sprite.userData.canvas = canvas;
+  sprite.visible = false;
+  return sprite;
+}
+
+function drawText(sprite, text, colour) {
+  const { canvas } = sprite.userData;
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.font = 'bold 40px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.lineWidth = 6;
+  context.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  context.strokeText(text, canvas.width / 2, canvas.height / 2);
+  context.fillStyle = colour;
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+  sprite.material.map.needsUpdate = true;
+}
+
+// limits: { maxParticles, particleDensity, maxFloatingText, speedLines } from the
+// most detailed quality preset, so buffers are big enough for any level
+export function createEffects(scene, limits, config = EFFECTS_CONFIG) {
+  const particles = createParticles(scene, limits.maxParticles);
+  let preset = limits;
+  let reducedMotion = false;
+  let clock = 0; // Seconds, only moving while the game does
+  let lastFrame = null;
+
+  const texts = []; // { sprite, born, x, y, z } rising and fading
+  const textPool = createPool('floatingText', () => {
+    const sprite = createTextSprite();
+    scene.add(sprite);
+    return sprite;
+  }, {
+    onAcquire: (sprite) => { sprite.visible = true; },
+    onRelease: (sprite) => { sprite.visible = false; }
+  });
+
+  // Speed lines: pairs of points in one LineSegments, recycled from far to near
+  const lineCount = limits.speedLines;
+  const linePositions = new Float32Array(lineCount * 6);
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3).setUsage(THREE.DynamicDrawUsage));
+  const lineMaterial = new THREE.LineBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0, depthWrite: false });
+  const speedLines = new THREE.LineSegments(lineGeometry, lineMaterial);
+  speedLines.frustumCulled = false;
+  speedLines.visible = false;
+  scene.add(speedLines);
+  const lines = Array.from({ length: lineCount }, () => ({ x: 0, y: 0, z: 0 }));
+
+  function placeLine(line, z) {
+    const side = Math.random() < 0.5 ? -1 : 1;
+    line.x = side * (9 + Math.random() * 10); // Either side of the board, clear of the action
+    line.y = 1 + Math.random() * 9;
+    line.z = z;
+  }
+  lines.forEach(line => placeLine(line, config.speedLines.far + Math.random() * (config.speedLines.near - config.speedLines.far)));
+
+  let trauma = 0;
+  const shakeOffset = new THREE.Vector3();
+
+  function burst(settings, x, y, z, strength = 1) {
+    if (preset.maxParticles === 0) return;
+    const count = Math.max(1, Math.round(settings.count * preset.particleDensity * strength));
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const spread = settings.speed * (0.4 + Math.random() * 0.6);
+      particles.emit(
+        x, y, z,
+        Math.cos(angle) * spread,
+        spread * settings.lift * (0.5 + Math.random()),
+        Math.sin(angle) * spread + settings.drift,
+        clock, settings, preset.maxParticles
+      );
+    }
+  }
+
+  return {
+    // preset is the quality preset in use
+    setQuality(newPreset) {
+      preset = newPreset;
+      particles.trim(preset.maxParticles);
+      while (texts.length > preset.maxFloatingText) textPool.release(texts.shift().sprite);
+    },
+    setReducedMotion(value) {
+      reducedMotion = value;
+      if (reducedMotion) trauma = 0;
+    },
+    crumbs: (x, y, z) => burst(config.crumbs, x, y, z),
+    sparks: (x, y, z) => burst(config.sparks, x, y, z),
+    // strength 0 to 1, from how hard she landed
+    dust: (x, y, z, strength = 1) => burst(config.dust, x, y, z, strength),
+    floatingText(text, x, y, z, colour = '#FFEB3B') {
+      if (preset.maxFloatingText === 0) return;
+      if (texts.length >= preset.maxFloatingText) textPool.release(texts.shift().sprite);
+      const sprite = textPool.acquire();
+      drawText(sprite, text, colour);
+      sprite.scale.set(config.floatingText.scale, config.floatingText.scale / 2, 1);
+      texts.push({ sprite, born: clock, x, y, z });
+    },
+    // strength 0 to 1 adds to any shake already going
+    shake(strength = 1) {
+      if (reducedMotion) return;
+      trauma = Math.min(1, trauma + strength);
+    },
+    // Once per frame with performance.now(). intensity 0 to 1 is the difficulty level;
+    // pointScale turns particle sizes into pixels for the current camera and canvas
+    update(now, { paused = false, intensity = 0, running = false, pointScale = 1 } = {}) {
+      const seconds = paused || lastFrame === null ? 0 : Math.min(100, now - lastFrame) / 1000;
+      lastFrame = now;
+      clock += seconds;
+      particles.material.uniforms.time.value = clock;
+      particles.material.uniforms.pointScale.value = pointScale;
+
+      for (let i = texts.length - 1; i >= 0; i--) {
+        const text = texts[i];
+        const t = (clock - text.born) / config.floatingText.life;
+        if (t >= 1) {
+          textPool.release(text.sprite);
+          texts.splice(i, 1);
+          continue;
+        }
+        text.sprite.position.set(text.x, text.y + (reducedMotion ? 0 : t * config.floatingText.rise), text.z);
+        text.sprite.material.opacity = 1 - t * t;
+      }
+
+      // Speed lines fade in above their difficulty level
+      const { from, length, speed, near, far } = config.speedLines;
+      const strength = running && !reducedMotion ? Math.max(0, (intensity - from) / (1 - from)) : 0;
+      const shown = Math.min(lineCount, Math.round(preset.speedLines * strength));
+      speedLines.visible = shown > 0;
+      lineMaterial.opacity = 0.35 * strength;
+      if (speedLines.visible) {
+        for (let i = 0; i < shown; i++) {
+          const line = lines[i];
+          line.z += speed * seconds;
+          if (line.z > near) placeLine(line, far);
+          linePositions.set([line.x, line.y, line.z, line.x, line.y, line.z - length * strength], i * 6);
+        }
+        lineGeometry.setDrawRange(0, shown * 2);
+        lineGeometry.attributes.position.needsUpdate = true;
+      }
+
+      trauma = Math.max(0, trauma - config.shake.decay * seconds);
+    },
+    // Nudges the camera for this frame's render; undo with endShake() straight after
+    beginShake(camera) {
+      const amount = config.shake.offset * trauma * trauma;
+      shakeOffset.set(
+        Math.sin(clock * 47) * amount,
+        Math.sin(clock * 59 + 1) * amount,
+        Math.sin(clock * 41 + 2) * amount * 0.5
+      );
+      camera.position.add(shakeOffset);
+    },
+    endShake(camera) {
+      camera.position.sub(shakeOffset);
+      shakeOffset.set(0, 0, 0);
+    },
+    // Clears everything left over from the last run
+    reset() {
+      particles.clear();
+      texts.forEach(text => textPool.release(text.sprite));
+      texts.length = 0;
+      trauma = 0;
+    }
+  };
+}
@@ -0,0 +1,388 @@
+// Game simulation.
+// Every rule of a run lives here: movement and its ±8 bounds, jumps, spawning,
+// scrolling, power-ups, scoring, collisions, lives and game over. It works on
+// plain state with no DOM, WebGL or audio, so it runs the same in the browser and
+// under Node (see test/).
+//
+//   const game = createGame({ seed, mode, level, ... });
+//   step(game, buttons);  // One tick; buttons packed per player as in replays
+//   game.events           // What happened on that tick, for sounds and the HUD
+//   game.over             // The cause once the run has ended, otherwise null
+//
+// main.js draws whatever is in the state and reacts to the events; the state never
+// holds meshes or DOM nodes. The same seed, options and inputs always play out the
+// same way, which is what replays rely on.
+
+import { HAZARD_TYPES } from './hazards.js';
+import { TICK_MS } from './loop.js';
+import { createRandom } from './random.js';
+import { createDirector, DIFFICULTY_CONFIG } from './difficulty.js';
+import { createLevelDirector } from './levels.js';
+import { createChef, chefTarget, CHEF_CONFIG } from './chef.js';
+import { createHitbox, playerCapsule, capsuleHits, PLAYER_SHAPE, SLIDE_SHAPE } from './collision.js';
+import { stepMoves, MOVE_CONFIG } from './moves.js';
+import { LIVES_CONFIG, isInvulnerable, takeHit, checkBonusLife, grantInvulnerability } from './lives.js';
+import { createPlayers, teamsOf, livingPlayers } from './players.js';
+import { SCORING_CONFIG, scoreCheese, scoreNearMiss, breakCombo } from './scoring.js';
+import {
+  POWERUPS,
+  isActive,
+  collectPowerUp,
+  absorbHit,
+  expirePowerUps,
+  scrollFactor
+} from './powerups.js';
+import { steerFromInput, unpackInputs } from './replay.js';
+import { createRunStats } from './stats.js';
+import { autoSteer } from './accessibility.js';
+
+export const GAME_CONFIG = {
+  moveSpeed: 0.3, // Sideways units per tick at full steer
+  edge: 8, // Players stay between -edge and edge
+  baseY: 1.5, // Height of the board surface under the players
+  travelScale: 4, // Board units scrolled per tick for each unit of scroll speed
+  cheeseMissZ: 2.6, // A cheese further back than this got past the players
+  hazardPassedZ: 4, // Hazards further back than this can no longer be near misses
+  removeZ: 30, // Objects this far behind the players are dropped
+  spawnY: { cheese: 1.8, golden: 1.9, powerup: 2.4, finish: 1.32 }
+};
+
+// Moving objects keep their previous tick's position too, so the renderer can interpolate
+function createEntity(type, x, y, z) {
+  return { type, x, y, z, prevX: x, prevY: y, prevZ: z };
+}
+
+// options: seed, mode ('solo', 'versus' or 'coop'), level (a loaded level, or null for
+// an endless run), assist (see simAssist in accessibility.js), and config overrides
+export function createGame({
+  seed,
+  mode = 'solo',
+  level = null,
+  assist = null,
+  config = GAME_CONFIG,
+  livesConfig = LIVES_CONFIG,
+  moveConfig = MOVE_CONFIG,
+  scoringConfig = SCORING_CONFIG,
+  difficultyConfig = DIFFICULTY_CONFIG,
+  chefConfig = CHEF_CONFIG
+} = {}) {
+  const rng = createRandom(seed);
+  const game = {
+    seed: rng.seed,
+    mode,
+    level,
+    assist,
+    config,
+    livesConfig,
+    moveConfig,
+    scoringConfig,
+    rng,
+    tick: 0,
+    time: 0, // ms of game time
+    players: createPlayers(mode, { baseY: config.baseY, livesConfig, scoringConfig }),
+    director: level
+      ? createLevelDirector(level, difficultyConfig.scrollSpeed.start)
+      : createDirector(difficultyConfig, rng),
+    chef: createChef(chefConfig, rng),
+    scrollSpeed: difficultyConfig.scrollSpeed.start,
+    cheeses: [],
+    hazards: [],
+    powerUps: [],
+    finishLines: [],
+    runStats: createRunStats(),
+    events: [],
+    over: null
+  };
+  // Hazards ask for randomness and make sounds through this
+  game.hazardContext = {
+    random: () => game.rng(),
+    sound: (name, x, y, z) => game.events.push({ type: 'sound', name, x, y, z })
+  };
+  return game;
+}
+
+export function spawnHazard(game, type, spawn) {
+  const hazard = new HAZARD_TYPES[type](game.hazardContext);
+  hazard.spawn(spawn, game.time);
+  game.hazards.push(hazard);
+  return hazard;
+}
+
+// Director and level spawns by type. Hazards are placed as they are, except knives:
+// the chef winds up and throws them
+const SPAWNERS = {
+  ...Object.fromEntries(Object.keys(HAZARD_TYPES).map(type => [type, (game, spawn) => spawnHazard(game, type, spawn)])),
+  cheese(game, spawn) {
+    const cheese = createEntity('cheese', spawn.x, game.config.spawnY.cheese, spawn.z);
+    cheese.hitbox = createHitbox('cheese');
+    game.cheeses.push(cheese);
+  },
+  knife(game, spawn) {
+    game.chef.requestAttack(spawn, game.time, game.director.level, game.director.wave === null);
+  },
+  finish(game, spawn) {
+    game.finishLines.push(createEntity('finish', spawn.x, game.config.spawnY.finish, spawn.z));
+  },
+  powerup(game, spawn) {
+    const y = spawn.kind === 'golden' ? game.config.spawnY.golden : game.config.spawnY.powerup;
+    const powerUp = createEntity('powerup', spawn.x, y, spawn.z);
+    powerUp.kind = spawn.kind;
+    powerUp.hitbox = createHitbox('powerup');
+    game.powerUps.push(powerUp);
+  }
+};
+
+export function spawn(game, spawnData) {
+  SPAWNERS[spawnData.type](game, spawnData);
+}
+
+// The best team's score, which drives the difficulty and goes in replay summaries
+export function bestTeamScore(game) {
+  return Math.max(...teamsOf(game.players).map(team => team.score));
+}
+
+function endGame(game, cause) {
+  game.over = cause;
+  if (cause === 'level-complete') game.runStats.levelCleared = true;
+  game.events.push({ type: 'gameOver', cause });
+}
+
+// score(combo) works out the points. The event keeps the multiplier they were scored
+// at, since scoring a cheese can raise it for the next one
+function addScore(game, player, kind, score) {
+  const { team } = player;
+  const { multiplier } = team.combo;
+  const points = score(team.combo);
+  team.score += points;
+  game.events.push({ type: 'score', kind, player: player.index, points, multiplier, score: team.score });
+  if (checkBonusLife(team.lives, team.score)) {
+    game.events.push({ type: 'bonusLife', player: player.index });
+  }
+}
+
+// Steering, knockback and jumps for one player this tick. ticks is how many ticks
+// of movement the step covers
+function movePlayer(game, player, buttons, ticks) {
+  const { config } = game;
+  // -1 to 1; keys give full speed, drag and tilt anything in between.
+  // Auto-steer ignores the steering input and picks a line itself
+  const steer = game.assist && game.assist.autoSteer
+    ? autoSteer(player.x, game.cheeses, game.hazards)
+    : steerFromInput(buttons);
+  player.steer = steer;
+
+  player.prevX = player.x;
+  player.prevY = player.y;
+
+  if (steer < 0 && player.x > -config.edge) player.x += config.moveSpeed * steer * ticks;
+  if (steer > 0 && player.x < config.edge) player.x += config.moveSpeed * steer * ticks;
+
+  // Knockback from the last hit
+  if (player.knockbackX !== 0) {
+    player.x = Math.min(config.edge, Math.max(-config.edge, player.x + player.knockbackX * ticks));
+    player.knockbackX *= game.livesConfig.knockbackDecay ** ticks;
+    if (Math.abs(player.knockbackX) < 0.01) player.knockbackX = 0;
+  }
+
+  // Jumps, double jumps and sliding
+  const wasAirborne = player.isJumping;
+  const fallSpeed = -player.velocityY;
+  const jumped = stepMoves(player, player.moves, buttons, game.time, config.baseY, game.moveConfig, ticks);
+  if (jumped) {
+    game.runStats.jumps++;
+    game.events.push({ type: 'jump', player: player.index, kind: jumped });
+  }
+  if (wasAirborne && !player.isJumping) {
+    game.events.push({ type: 'land', player: player.index, speed: Math.max(0, fallSpeed) });
+  }
+}
+
+// Moves a list of plain entities down the board and drops the ones behind the players
+function scrollEntities(game, list, travel) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    const entity = list[i];
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+    entity.prevZ = entity.z;
+    entity.z += travel;
+    if (entity.z > game.config.removeZ) list.splice(i, 1);
+  }
+}
+
+// A player touched a hazard. A team that loses its last life is out
+function hurtPlayer(game, player, hazard) {
+  const { lives, combo } = player.team;
+  const hazardX = hazard.x + (hazard.hitbox.worldOffsetX ?? 0);
+  game.events.push({ type: 'sound', name: hazard.hitSound, x: hazardX, y: hazard.y, z: hazard.z });
+
+  // An active shield takes the hit instead
+  if (absorbHit(player.powerUps, game.time)) {
+    grantInvulnerability(lives, game.time, POWERUPS.shield.graceMs);
+    game.events.push({ type: 'shieldHit', player: player.index });
+    return;
+  }
+
+  const result = takeHit(lives, game.time);
+  if (result === 'ignored') return;
+
+  breakCombo(combo);
+  game.events.push({ type: 'hit', player: player.index, cause: hazard.cause, lives: lives.lives });
+  if (result === 'dead') {
+    game.players.filter(other => other.team === player.team).forEach(other => {
+      other.out = true;
+      other.cause = hazard.cause;
+      game.runStats.deaths.push(hazard.cause);
+      game.events.push({ type: 'out', player: other.index, cause: hazard.cause });
+    });
+    if (livingPlayers(game.players).length === 0) endGame(game, hazard.cause);
+    return;
+  }
+
+  // Knock the player away from the part of the hazard that hit
+  const direction = player.x >= hazardX ? 1 : -1;
+  player.knockbackX = direction * game.livesConfig.knockbackSpeed;
+  player.velocityY = Math.max(player.velocityY, game.livesConfig.knockbackHop);
+  player.isJumping = true;
+}
+
+// Advances the game by one tick. input is the tick's buttons, packed per player
+// (packInputs in replay.js) or as an array with one number per player. dt is the
+// game time the tick covers: speeds are tuned per TICK_MS and scale with it, and
+// timers run on game time. The game loop always steps TICK_MS, which replays rely on.
+// Returns the game, whose events now list what happened on this tick.
+export function step(game, input, dt = TICK_MS) {
+  game.events = [];
+  if (game.over) return game;
+
+  const { config, players } = game;
+  const buttons = Array.isArray(input) ? input : unpackInputs(input, players.length);
+
+  game.tick++;
+  game.time += dt;
+  const simTime = game.time;
+  const ticks = dt / TICK_MS;
+  game.runStats.timeMs = simTime;
+
+  // Let the director ramp the speed and place new objects
+  const living = livingPlayers(players);
+  const direction = game.director.update(simTime, bestTeamScore(game));
+  game.scrollSpeed = direction.scrollSpeed;
+  direction.spawns.forEach(spawnData => spawn(game, spawnData));
+  game.chef.update(simTime, chefTarget(living, simTime).x).forEach(knife => spawnHazard(game, 'knife', knife));
+
+  living.forEach(player => movePlayer(game, player, buttons[player.index] ?? 0, ticks));
+
+  // Power-up effects: expire old ones, slow the board, pull cheese in.
+  // Slow time from either player slows the board for both
+  if (players.some(player => expirePowerUps(player.powerUps, simTime).length)) {
+    game.events.push({ type: 'powerUpsChanged' });
+  }
+  const travel = game.scrollSpeed * config.travelScale * ticks *
+    Math.min(...players.map(player => scrollFactor(player.powerUps, simTime)));
+
+  scrollEntities(game, game.cheeses, travel);
+  scrollEntities(game, game.finishLines, travel);
+  scrollEntities(game, game.powerUps, travel);
+  for (let i = game.hazards.length - 1; i >= 0; i--) {
+    game.hazards[i].update(simTime, travel, ticks);
+    if (game.hazards[i].gone) game.hazards.splice(i, 1);
+  }
+
+  living.filter(player => isActive(player.powerUps, 'magnet', simTime)).forEach(player => {
+    const { radius, pullSpeed } = POWERUPS.magnet;
+    [...game.cheeses, ...game.powerUps.filter(powerUp => powerUp.kind === 'golden')].forEach(cheese => {
+      const dx = player.x - cheese.x;
+      const dz = -cheese.z; // Players are always at z = 0
+      const distance = Math.hypot(dx, dz);
+      if (distance > radius || distance < 0.001) return;
+      const pull = Math.min(pullSpeed * ticks, distance) / distance;
+      cheese.x += dx * pull;
+      cheese.z += dz * pull;
+    });
+  });
+
+  // Level mode ends when the finish line reaches the players
+  if (game.finishLines.some(finishLine => finishLine.z >= 0)) {
+    endGame(game, 'level-complete');
+    return game;
+  }
+
+  // Each player's hitbox for this tick. Assist mode's hit tolerance shrinks the one hazards test against
+  const hitTolerance = game.assist ? game.assist.hitTolerance : 0;
+  const capsules = living.map(player => {
+    const capsule = playerCapsule(player.x, player.y, 0, player.moves.sliding ? SLIDE_SHAPE : PLAYER_SHAPE);
+    return { player, capsule, hazardCapsule: { ...capsule, radius: capsule.radius * (1 - hitTolerance) } };
+  });
+
+  // Cheese goes to whoever touches it first; one that gets past breaks every combo
+  for (let i = game.cheeses.length - 1; i >= 0; i--) {
+    const cheese = game.cheeses[i];
+    if (!cheese.missed && cheese.z > config.cheeseMissZ) {
+      cheese.missed = true;
+      teamsOf(players).forEach(team => breakCombo(team.combo));
+      game.events.push({ type: 'comboBroken' });
+    }
+
+    const collector = capsules.find(({ capsule }) => capsuleHits(capsule, cheese));
+    if (!collector) continue;
+    const { player } = collector;
+    addScore(game, player, 'cheese', scoreCheese);
+    game.runStats.cheese++;
+    game.runStats.bestStreak = Math.max(game.runStats.bestStreak, player.team.combo.streak);
+    game.cheeses.splice(i, 1);
+  }
+
+  // Power-ups go to whoever picks them up
+  for (let i = game.powerUps.length - 1; i >= 0; i--) {
+    const powerUp = game.powerUps[i];
+    const collector = capsules.find(({ capsule }) => capsuleHits(capsule, powerUp));
+    if (!collector) continue;
+    const { player } = collector;
+
+    // Golden cheese counts towards the combo, with its bonus multiplied
+    const bonus = collectPowerUp(player.powerUps, powerUp.kind, simTime);
+    game.events.push({ type: 'powerUp', player: player.index, kind: powerUp.kind });
+    if (bonus) {
+      addScore(game, player, 'golden', combo => scoreCheese(combo, bonus));
+      game.runStats.cheese++;
+      game.runStats.bestStreak = Math.max(game.runStats.bestStreak, player.team.combo.streak);
+    }
+    game.powerUps.splice(i, 1);
+  }
+
+  // Near misses: a hazard that passed close by without touching a player.
+  // touched and closeCall are bitmasks, one bit per player
+  game.hazards.forEach(hazard => {
+    if (hazard.passed) return;
+    capsules.forEach(({ player, hazardCapsule }) => {
+      const bit = 1 << player.index;
+      const nearMissCapsule = { ...hazardCapsule, radius: hazardCapsule.radius + game.scoringConfig.nearMissMargin };
+      if (hazard.collide(hazardCapsule)) {
+        hazard.touched = (hazard.touched ?? 0) | bit;
+      } else if (hazard.collide(nearMissCapsule)) {
+        hazard.closeCall = (hazard.closeCall ?? 0) | bit;
+      }
+    });
+    if (hazard.z > config.hazardPassedZ) {
+      hazard.passed = true;
+      living.forEach(player => {
+        const bit = 1 << player.index;
+        if ((hazard.closeCall & bit) && !(hazard.touched & bit)) {
+          addScore(game, player, 'nearMiss', scoreNearMiss);
+          game.runStats.nearMisses++;
+        }
+      });
+    }
+  });
+
+  // Hazards decide for themselves when they're dangerous, and are harmless
+  // while a player is still blinking from the last hit
+  for (const { player, hazardCapsule } of capsules) {
+    if (player.out || isInvulnerable(player.team.lives, simTime)) continue;
+    const hazard = game.hazards.find(candidate => candidate.collide(hazardCapsule));
+    if (!hazard) continue;
+    hurtPlayer(game, player, hazard);
+    if (game.over) break;
+  }
+  return game;
+}
@@ -0,0 +1,230 @@
+// Gesture controls for touch screens.
+// Alternatives to the on-screen buttons, picked in the Controls screen:
+//   swipe - drag anywhere to steer (the further the finger moves from where it
+//           landed, the faster Poppy runs), swipe up to jump and down to slide
+//   tilt  - tilt the device to steer, tap or swipe up to jump, swipe down to slide
+// Both feed the shared input layer, steering through its analog axis.
+
+export const TOUCH_SCHEMES = {
+  buttons: 'On-screen buttons',
+  swipe: 'Drag and swipe',
+  tilt: 'Tilt to steer'
+};
+
+export const GESTURE_CONFIG = {
+  dragRange: 70, // px from the touch point for full speed
+  dragDeadzone: 8, // px of wobble that doesn't steer
+  swipeDistance: 45, // px upwards that counts as a swipe
+  swipeTime: 300, // ms the swipe has to happen in
+  tapDistance: 12, // px a tap may move
+  tapTime: 200, // ms
+  jumpHoldMs: 250, // Gestures can't be held, so they count as holding jump this long (a full jump)
+  slideMs: 600, // How long a swipe down slides for
+  tiltRange: 20, // degrees away from neutral for full speed
+  tiltDeadzone: 3 // degrees
+};
+
+const SETTINGS_KEY = 'poppyTouchControls';
+
+// Touches that start on these belong to the UI, not to the game
+const UI_SELECTOR = 'button, input, select, textarea, a, #left-control, #right-control, #jump-control, #slide-control, #pause-control';
+
+export function loadTouchSettings() {
+  const defaults = { scheme: 'buttons', tiltNeutral: 0 };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && TOUCH_SCHEMES[saved.scheme]) {
+      return { ...defaults, ...saved };
+    }
+  } catch (error) {
+    console.error('Error reading touch settings, using defaults:', error);
+  }
+  return defaults;
+}
+
+export function saveTouchSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Maps an offset to -1..1 with a deadzone in the middle
+function axisValue(offset, deadzone, range) {
+  if (Math.abs(offset) <= deadzone) return 0;
+  const value = (Math.abs(offset) - deadzone) / (range - deadzone);
+  return Math.sign(offset) * Math.min(1, value);
+}
+
+// Left/right tilt in degrees, whichever way round the screen is
+function readTilt(event) {
+  const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+  if (angle === 90) return event.beta;
+  if (angle === -90 || angle === 270) return -event.beta;
+  if (angle === 180) return -event.gamma;
+  return event.gamma;
+}
+
+// isActive() says whether gestures should steer right now (a run is going and not paused)
+export function createGestureControls(input, { isActive, config = GESTURE_CONFIG } = {}) {
+  const settings = loadTouchSettings();
+  const touches = new Map(); // touch identifier -> { startX, startY, startTime, originX, x, y, swiped }
+  let steeringId = null; // The touch that steers in the swipe scheme
+  let lastTilt = null;
+
+  // A gesture presses an action and lets go of it after ms
+  function tap(action, source, ms) {
+    input.press(action, source);
+    setTimeout(() => input.release(action, source), ms);
+  }
+
+  function jump(source) {
+    tap('jump', source, config.jumpHoldMs);
+  }
+
+  function steerFrom(touch) {
+    const offset = touch.x - touch.originX;
+    input.setAxis('drag', axisValue(offset, config.dragDeadzone, config.dragRange));
+  }
+
+  function onTouchStart(event) {
+    if (settings.scheme === 'buttons' || !isActive()) return;
+
+    let claimed = false;
+    for (const touch of event.changedTouches) {
+      if (touch.target.closest && touch.target.closest(UI_SELECTOR)) continue;
+      touches.set(touch.identifier, {
+        startX: touch.clientX,
+        startY: touch.clientY,
+        startTime: event.timeStamp,
+        originX: touch.clientX,
+        x: touch.clientX,
+        y: touch.clientY,
+        swiped: false
+      });
+      if (settings.scheme === 'swipe' && steeringId === null) steeringId = touch.identifier;
+      claimed = true;
+    }
+    if (claimed) event.preventDefault();
+  }
+
+  function onTouchMove(event) {
+    let claimed = false;
+    for (const touch of event.changedTouches) {
+      const tracked = touches.get(touch.identifier);
+      if (!tracked) continue;
+      claimed = true;
+      tracked.x = touch.clientX;
+      tracked.y = touch.clientY;
+
+      // A quick flick upwards jumps and downwards slides, once per touch
+      const up = tracked.startY - tracked.y;
+      if (!tracked.swiped &&
+          Math.abs(up) > config.swipeDistance &&
+          Math.abs(up) > Math.abs(tracked.x - tracked.startX) &&
+          event.timeStamp - tracked.startTime < config.swipeTime) {
+        tracked.swiped = true;
+        if (up > 0) {
+          jump(`swipe:${touch.identifier}`);
+        } else {
+          tap('slide', `swipe:${touch.identifier}`, config.slideMs);
+        }
+      }
+
+      if (touch.identifier === steeringId) steerFrom(tracked);
+    }
+    if (claimed) event.preventDefault();
+  }
+
+  // touchend and touchcancel both land here, so a touch can never stay stuck
+  function onTouchEnd(event) {
+    for (const touch of event.changedTouches) {
+      const tracked = touches.get(touch.identifier);
+      if (!tracked) continue;
+      touches.delete(touch.identifier);
+
+      const moved = Math.hypot(touch.clientX - tracked.startX, touch.clientY - tracked.startY);
+      const isTap = event.type === 'touchend' &&
+        moved < config.tapDistance &&
+        event.timeStamp - tracked.startTime < config.tapTime;
+      if (settings.scheme === 'tilt' && isTap && !tracked.swiped) jump(`tap:${touch.identifier}`);
+
+      // Steering passes to the next finger still down, measured from where it is now
+      if (touch.identifier === steeringId) {
+        steeringId = null;
+        input.setAxis('drag', 0);
+        const [nextId, next] = touches.entries().next().value ?? [];
+        if (next) {
+          steeringId = nextId;
+          next.originX = next.x;
+        }
+      }
+    }
+  }
+
+  function onOrientation(event) {
+    if (event.gamma === null || event.beta === null) return;
+    lastTilt = readTilt(event);
+    const steer = isActive()
+      ? axisValue(lastTilt - settings.tiltNeutral, config.tiltDeadzone, config.tiltRange)
+      : 0;
+    input.setAxis('tilt', steer);
+  }
+
+  // iOS only delivers orientation events after the player allows it, from a tap
+  async function requestTiltPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined') return false;
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+    try {
+      return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+    } catch (error) {
+      console.error('Tilt permission request failed:', error);
+      return false;
+    }
+  }
+
+  function applyScheme() {
+    document.body.dataset.touchScheme = settings.scheme;
+    touches.clear();
+    steeringId = null;
+    input.setAxis('drag', 0);
+    input.setAxis('tilt', 0);
+    if (settings.scheme === 'tilt') {
+      window.addEventListener('deviceorientation', onOrientation);
+    } else {
+      window.removeEventListener('deviceorientation', onOrientation);
+    }
+  }
+
+  window.addEventListener('touchstart', onTouchStart, { passive: false });
+  window.addEventListener('touchmove', onTouchMove, { passive: false });
+  window.addEventListener('touchend', onTouchEnd);
+  window.addEventListener('touchcancel', onTouchEnd);
+  applyScheme();
+
+  return {
+    get scheme() {
+      return settings.scheme;
+    },
+    setScheme(scheme) {
+      if (!TOUCH_SCHEMES[scheme]) return;
+      settings.scheme = scheme;
+      saveTouchSettings(settings);
+      applyScheme();
+    },
+    requestTiltPermission,
+    hasTiltReading() {
+      return lastTilt !== null;
+    },
+    // The way the device is held right now becomes "straight ahead"
+    calibrate() {
+      if (lastTilt === null) return false;
+      settings.tiltNeutral = lastTilt;
+      saveTouchSettings(settings);
+      return true;
+    },
+    // Drop any touches in progress, e.g. when the game pauses
+    reset() {
+      touches.clear();
+      steeringId = null;
+      input.setAxis('drag', 0);
+    }
+  };
+}
@@ -0,0 +1,213 @@
+// Hazard drawing.
+// The hazard classes in hazards.js are pure simulation; this is their render side.
+// Every hazard type has a view here under its hazard.type, with the same hooks:
+//   pool                                          - how main.js builds the type's mesh pool:
+//                                                   { model, label, fallback, createFallback, prepare, prewarm }
+//                                                   for a loaded model, or { create, prewarm } for a built one
+//   attach(hazard, view)                          - take meshes from the pools the first time it's drawn
+//   render(hazard, meshes, alpha, simTime, view)  - draw it between the previous and current tick
+//   detach(hazard, meshes, view)                  - hand its meshes back to their pools
+// attach() returns the meshes it took and main.js keeps them beside the hazard, so
+// the game state never holds three.js objects.
+//
+// view is { pools, highContrast }: pools holds one object pool per hazard type, plus
+// 'shadow' for ground shadows and 'outline' for the colour-coded hitbox outlines
+// drawn in high contrast mode.
+
+import * as THREE from 'three';
+import { HAZARD_CONFIG } from './hazards.js';
+
+// Soft round shadow, stretched to whatever it falls on
+export function createShadowTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(64, 64, 8, 64, 64, 64);
+  gradient.addColorStop(0, 'rgba(40, 0, 0, 1)');
+  gradient.addColorStop(0.6, 'rgba(40, 0, 0, 0.7)');
+  gradient.addColorStop(1, 'rgba(40, 0, 0, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+  return new THREE.CanvasTexture(canvas);
+}
+
+// Stand-in models for when a hazard's model fails to load. They're sized to match
+// the hazard's hitbox after the same scaling as the real model.
+function fallbackMaterial(color) {
+  return new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
+}
+
+function createFallbackMousetrap() {
+  const trap = new THREE.Group();
+  const base = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.08, 0.9), fallbackMaterial(0xA1887F));
+  const bar = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.06, 0.06), fallbackMaterial(0xB0BEC5));
+  bar.position.set(0, 0.1, 0.3);
+  trap.add(base, bar);
+  return trap;
+}
+
+// Lies along local X before the knife's X rotation, blade on the +X side
+function createFallbackKnife() {
+  const knife = new THREE.Group();
+  const blade = new THREE.Mesh(new THREE.BoxGeometry(0.875, 0.08, 0.02), fallbackMaterial(0xCFD8DC));
+  blade.position.x = 0.5625;
+  const handle = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.1, 0.05), fallbackMaterial(0x4E342E));
+  handle.position.x = -0.125;
+  knife.add(blade, handle);
+  return knife;
+}
+
+// Rolling pin: a wooden cylinder lying along Z, with handles at both ends
+function createRollingPin() {
+  const { radius, length } = HAZARD_CONFIG.rollingPin;
+  const pin = new THREE.Group();
+  const wood = new THREE.MeshStandardMaterial({ color: 0xD7A86E, roughness: 0.8 });
+  const body = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length - 1.6, 20), wood);
+  body.rotation.x = Math.PI / 2;
+  pin.add(body);
+  [-1, 1].forEach(end => {
+    const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.22, 0.8, 10), wood);
+    handle.rotation.x = Math.PI / 2;
+    handle.position.z = end * (length / 2 - 0.4);
+    pin.add(handle);
+  });
+  return pin;
+}
+
+// Shared by every type: the hazard's own model plus its outline
+function attach(hazard, view) {
+  return {
+    mesh: view.pools[hazard.type].acquire(),
+    outline: view.pools.outline.acquire()
+  };
+}
+
+function render(hazard, meshes, alpha, simTime, view) {
+  meshes.mesh.position.set(
+    THREE.MathUtils.lerp(hazard.prevX, hazard.x, alpha),
+    THREE.MathUtils.lerp(hazard.prevY, hazard.y, alpha),
+    THREE.MathUtils.lerp(hazard.prevZ, hazard.z, alpha)
+  );
+  renderOutline(hazard, meshes, view);
+}
+
+// High contrast mode: the hitbox as a box in the hazard type's colour
+function renderOutline(hazard, { mesh, outline }, view) {
+  const { hitbox } = hazard;
+  outline.visible = Boolean(view.highContrast && hitbox && hitbox.shape === 'box');
+  if (!outline.visible) return;
+  outline.position.set(
+    mesh.position.x + hitbox.worldOffsetX,
+    mesh.position.y + hitbox.offsetY,
+    mesh.position.z + hitbox.worldOffsetZ
+  );
+  outline.rotation.y = hitbox.yaw;
+  outline.scale.set(hitbox.halfX * 2, hitbox.halfY * 2, hitbox.halfZ * 2);
+  outline.material.color.setHex(hazard.config.outlineColour);
+  outline.material.opacity = hazard.dangerous ? 1 : 0.3;
+}
+
+function detach(hazard, meshes, view) {
+  view.pools[hazard.type].release(meshes.mesh);
+  view.pools.outline.release(meshes.outline);
+}
+
+// Hazard type -> view
+export const HAZARD_VIEWS = {
+  // The knife's shadow shows where it will land
+  knife: {
+    pool: {
+      model: '/models/knife/scene.gltf',
+      label: 'Knife model',
+      fallback: 'Using a simple blade.',
+      createFallback: createFallbackKnife,
+      prepare(knife) {
+        // Rotate the knife to lie flat on the board (90 degrees on X-axis).
+        // Yaw is applied last, in world space, so spawns can turn the blade around
+        knife.rotation.order = 'YXZ';
+        knife.rotation.x = Math.PI / 2;
+        knife.scale.set(8.0, 3.0, 3.0); // Slightly smaller width but taller, uniform Y and Z scaling
+      },
+      prewarm: 6
+    },
+    attach(hazard, view) {
+      const meshes = attach(hazard, view);
+      meshes.shadow = view.pools.shadow.acquire();
+      meshes.mesh.rotation.y = hazard.yaw;
+      meshes.shadow.rotation.z = hazard.yaw;
+      meshes.shadow.scale.set(hazard.config.shadow.width, hazard.config.shadow.depth, 1);
+      return meshes;
+    },
+    render(hazard, meshes, alpha, simTime, view) {
+      render(hazard, meshes, alpha, simTime, view);
+      const { mesh, shadow } = meshes;
+      const t = hazard.chopProgress(simTime);
+      shadow.visible = t < 1;
+      if (shadow.visible) {
+        shadow.position.set(
+          mesh.position.x + hazard.hitbox.worldOffsetX,
+          hazard.config.restY + 0.02,
+          mesh.position.z + hazard.hitbox.worldOffsetZ
+        );
+        shadow.material.opacity = 0.3 + 0.6 * t; // Darker as the blade comes down
+      }
+    },
+    detach(hazard, meshes, view) {
+      view.pools.shadow.release(meshes.shadow);
+      detach(hazard, meshes, view);
+    }
+  },
+
+  // Traps show where they are in their cycle
+  trap: {
+    pool: {
+      model: '/models/mousetrap/scene.gltf',
+      label: 'Mousetrap model',
+      fallback: 'Using simple block traps.',
+      createFallback: createFallbackMousetrap,
+      prepare(trap) {
+        trap.scale.setScalar(3.0); // Make mousetrap even bigger for better visibility
+      },
+      prewarm: 16
+    },
+    attach(hazard, view) {
+      const meshes = attach(hazard, view);
+      meshes.baseScaleY = meshes.mesh.scale.y;
+      return meshes;
+    },
+    render(hazard, meshes, alpha, simTime, view) {
+      render(hazard, meshes, alpha, simTime, view);
+      const { mesh, baseScaleY } = meshes;
+      const time = hazard.cycleTime(simTime);
+      const { armedMs, warnMs } = hazard.config;
+      if (hazard.armed) {
+        // Rattle just before snapping
+        mesh.rotation.z = time > armedMs - warnMs ? Math.sin(simTime * 0.09) * 0.06 : 0;
+        mesh.scale.y = baseScaleY;
+      } else {
+        // Snapped flat, with a little jump as it goes off
+        const sinceSnap = time - armedMs;
+        mesh.rotation.z = 0;
+        mesh.scale.y = baseScaleY * 0.45;
+        mesh.position.y += Math.max(0, 1 - sinceSnap / 150) * 0.6;
+      }
+    },
+    detach(hazard, meshes, view) {
+      meshes.mesh.rotation.z = 0;
+      meshes.mesh.scale.y = meshes.baseScaleY;
+      detach(hazard, meshes, view);
+    }
+  },
+
+  // The pin spins as it rolls
+  rollingPin: {
+    pool: { create: createRollingPin, prewarm: 2 },
+    attach,
+    render(hazard, meshes, alpha, simTime, view) {
+      render(hazard, meshes, alpha, simTime, view);
+      meshes.mesh.rotation.z = THREE.MathUtils.lerp(hazard.prevSpin, hazard.spin, alpha);
+    },
+    detach
+  }
+};
@@ -0,0 +1,219 @@
+// Hazards.
+// Every hazard type is a class with the same hooks, so the game drives them all
+// alike and a new hazard only needs a class here, added to HAZARD_TYPES, plus a
+// view in hazardViews.js. Each class also describes itself with static fields:
+//   type       - its key in HAZARD_TYPES and HAZARD_VIEWS
+//   cause      - recorded when it ends a run; causeLabel is shown for it on the
+//                leaderboard and stats screen
+//   hitbox     - its shape, as in collision.js
+//   hitSound   - played when it hits Poppy
+// Simulation (game.js):
+//   spawn(spawn, simTime)          - place it from a director or level spawn
+//   update(simTime, travel, ticks) - advance one tick; travel is how far the board
+//                                    scrolled, ticks how many ticks of movement that is
+//   collide(capsule)               - whether it can hurt Poppy right now
+// State only changes in spawn() and update(), so replays stay exact. Hazards hold
+// no meshes and import nothing from three.js; hazardViews.js draws them.
+//
+// The game gives hazards a context: { random, sound(name, x, y, z) }.
+
+import { capsuleHits, createHitbox } from './collision.js';
+
+export const HAZARD_CONFIG = {
+  knife: {
+    restY: 1.3, // Height of a knife lying on the board
+    chopHeight: 9, // The knife appears this far above its landing spot...
+    chopMs: 300, // ...and falls for this long, speeding up like a real chop
+    raisedHeight: 1.25, // Raised knives stop this far above the board - slide under or jump over
+    shadow: { width: 7.5, depth: 2 }, // Covers the blade's hitbox
+    outlineColour: 0xFF1744
+  },
+  trap: {
+    restY: 1.5,
+    armedMs: 1400, // Dangerous: the trap snaps shut on anything that touches it
+    sprungMs: 900, // Safe to cross until it resets
+    warnMs: 350, // Rattles for this long before snapping
+    hearingZ: -40, // Only traps closer than this are heard snapping
+    outlineColour: 0xFFEA00
+  },
+  rollingPin: {
+    radius: 0.7,
+    length: 6,
+    restY: 2.0, // Board surface plus the radius
+    speed: 0.12, // Sideways units per tick
+    edge: 8.5, // Bounces back at this X
+    outlineColour: 0xD500F9
+  }
+};
+
+// Shared movement: hazards slide down the board with everything else
+export class Hazard {
+  constructor(context) {
+    this.context = context;
+    this.type = this.constructor.type;
+    this.cause = this.constructor.cause;
+    this.hitSound = this.constructor.hitSound;
+    this.hitbox = null;
+  }
+
+  spawn(spawn, simTime, y = 0) {
+    this.x = this.prevX = spawn.x;
+    this.y = this.prevY = y;
+    this.z = this.prevZ = spawn.z;
+    this.spawnedAt = simTime;
+  }
+
+  update(simTime, travel) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevZ = this.z;
+    this.z += travel;
+  }
+
+  // Far enough behind Poppy to be cleaned up
+  get gone() {
+    return this.z > 30;
+  }
+
+  collide(capsule) {
+    return capsuleHits(capsule, this);
+  }
+
+  // Whether touching it would hurt right now; the high contrast outline fades when not
+  get dangerous() {
+    return true;
+  }
+}
+
+// A knife chopped down onto the board. Its shadow shows where it will land, and the
+// falling blade is already dangerous, so it's the shadow that needs dodging.
+// yaw turns the knife around Y - at Math.PI the blade points to the left side of the board.
+// Raised knives (spawn.raised) stop short of the board at Poppy's head height.
+export class ChoppingKnife extends Hazard {
+  static type = 'knife';
+  static cause = 'knife';
+  static causeLabel = 'Sliced by a knife';
+  // Only the blade is deadly - it runs from just past the handle to the tip on the +X side
+  static hitbox = { shape: 'box', offsetX: 4.5, offsetY: 0, offsetZ: 0, halfX: 3.5, halfY: 0.36, halfZ: 0.12 };
+  static hitSound = 'knifeSlice';
+
+  constructor(context, config = HAZARD_CONFIG.knife) {
+    super(context);
+    this.config = config;
+  }
+
+  spawn(spawn, simTime) {
+    super.spawn(spawn, simTime, this.config.restY + this.config.chopHeight);
+    this.landY = this.config.restY + (spawn.raised ? this.config.raisedHeight : 0);
+    this.yaw = spawn.yaw ?? 0;
+    this.hitbox = createHitbox(ChoppingKnife.hitbox, this.yaw);
+  }
+
+  // 0 when the knife appears, 1 once it has landed
+  chopProgress(simTime) {
+    return Math.min(1, (simTime - this.spawnedAt) / this.config.chopMs);
+  }
+
+  update(simTime, travel) {
+    super.update(simTime, travel);
+    const t = this.chopProgress(simTime);
+    this.y = this.landY + (this.config.restY + this.config.chopHeight - this.landY) * (1 - t * t);
+  }
+}
+
+// A mousetrap that keeps snapping shut and resetting. Armed traps catch Poppy
+// (unless she jumps them); sprung ones lie flat and are safe to run across.
+export class SnappingTrap extends Hazard {
+  static type = 'trap';
+  static cause = 'mousetrap';
+  static causeLabel = 'Snapped by a mousetrap';
+  // The mousetrap base is ~6 units wide and low enough to jump over
+  static hitbox = { shape: 'box', offsetX: 0, offsetY: 0, offsetZ: 0, halfX: 2.7, halfY: 0.45, halfZ: 1.4 };
+  static hitSound = 'trapSnap';
+
+  constructor(context, config = HAZARD_CONFIG.trap) {
+    super(context);
+    this.config = config;
+  }
+
+  spawn(spawn, simTime) {
+    super.spawn(spawn, simTime, this.config.restY);
+    this.hitbox = createHitbox(SnappingTrap.hitbox);
+    // Traps start at random points in their cycle so rows don't snap in unison
+    this.cycleStart = simTime - this.context.random() * (this.config.armedMs + this.config.sprungMs);
+    this.armed = this.isArmedAt(simTime);
+  }
+
+  // Where simTime falls in the armed -> sprung cycle, in ms
+  cycleTime(simTime) {
+    return (simTime - this.cycleStart) % (this.config.armedMs + this.config.sprungMs);
+  }
+
+  isArmedAt(simTime) {
+    return this.cycleTime(simTime) < this.config.armedMs;
+  }
+
+  update(simTime, travel) {
+    super.update(simTime, travel);
+    const armed = this.isArmedAt(simTime);
+    if (this.armed && !armed && this.z > this.config.hearingZ) {
+      this.context.sound('trapSnap', this.x, this.y, this.z);
+    }
+    this.armed = armed;
+  }
+
+  collide(capsule) {
+    return this.armed && super.collide(capsule);
+  }
+
+  get dangerous() {
+    return this.armed;
+  }
+}
+
+// A rolling pin lying along the board that sweeps from side to side, bouncing off
+// the edges. Low enough to jump over.
+export class RollingPin extends Hazard {
+  static type = 'rollingPin';
+  static cause = 'rollingPin';
+  static causeLabel = 'Flattened by a rolling pin';
+  // Lies along Z and rolls sideways; the box hugs the cylinder closely enough
+  static hitbox = { shape: 'box', offsetX: 0, offsetY: 0, offsetZ: 0, halfX: 0.7, halfY: 0.7, halfZ: 3 };
+  static hitSound = 'pinBonk';
+
+  constructor(context, config = HAZARD_CONFIG.rollingPin) {
+    super(context);
+    this.config = config;
+  }
+
+  // Starts at the edge on the spawn's side of the board and rolls towards the other one
+  spawn(spawn, simTime) {
+    const side = spawn.x < 0 ? -1 : 1;
+    super.spawn({ ...spawn, x: side * this.config.edge }, simTime, this.config.restY);
+    this.direction = -side;
+    this.spin = this.prevSpin = 0;
+    this.hitbox = createHitbox(RollingPin.hitbox);
+  }
+
+  update(simTime, travel, ticks = 1) {
+    super.update(simTime, travel);
+    const { speed, edge, radius } = this.config;
+    this.x += this.direction * speed * ticks;
+    if (Math.abs(this.x) >= edge) {
+      this.x = Math.sign(this.x) * edge;
+      this.direction = -this.direction;
+    }
+    this.prevSpin = this.spin;
+    this.spin -= this.direction * speed * ticks / radius; // Rolls without sliding
+  }
+}
+
+// Spawn type -> hazard class, for every hazard in the game
+export const HAZARD_TYPES = Object.fromEntries(
+  [SnappingTrap, ChoppingKnife, RollingPin].map(HazardType => [HazardType.type, HazardType])
+);
+
+// Cause of death -> its label, for every hazard
+export const HAZARD_CAUSES = Object.fromEntries(
+  Object.values(HAZARD_TYPES).map(HazardType => [HazardType.cause, HazardType.causeLabel])
+);
@@ -0,0 +1,283 @@
+// Input actions.
+// The game only ever asks about actions (left, right, jump, slide, pause, mute, photo). Keyboard keys,
+// gamepads, touch buttons and mouse clicks are all sources that press and release
+// those actions, so every control scheme behaves the same way. Drag and tilt
+// steering add an analog axis on top (see gestures.js).
+// Two-player games create a second input for player 2 with its own bindings; keys
+// player 2 uses are blocked for player 1, and each player gets one gamepad.
+
+export const ACTIONS = ['left', 'right', 'jump', 'slide', 'pause', 'mute', 'photo'];
+
+export const ACTION_LABELS = {
+  left: 'Move left',
+  right: 'Move right',
+  jump: 'Jump',
+  slide: 'Slide / duck',
+  pause: 'Pause',
+  mute: 'Mute sound',
+  photo: 'Photo mode'
+};
+
+// Two keyboard slots per action
+export const DEFAULT_BINDINGS = {
+  left: ['a', 'ArrowLeft'],
+  right: ['d', 'ArrowRight'],
+  jump: [' ', 'w'],
+  slide: ['s', 'ArrowDown'],
+  pause: ['Escape', 'p'],
+  mute: ['m', null],
+  photo: ['c', null]
+};
+
+// Player 2 only moves - pausing and the rest stay with player 1
+export const MOVE_ACTIONS = ['left', 'right', 'jump', 'slide'];
+export const PLAYER_2_BINDINGS = {
+  left: ['ArrowLeft', null],
+  right: ['ArrowRight', null],
+  jump: ['ArrowUp', 'Enter'],
+  slide: ['ArrowDown', null],
+  pause: [null, null],
+  mute: [null, null],
+  photo: [null, null]
+};
+
+const BINDINGS_KEYS = { 1: 'poppyControls', 2: 'poppyControlsP2' };
+
+export function defaultBindings(player = 1) {
+  return structuredClone(player === 2 ? PLAYER_2_BINDINGS : DEFAULT_BINDINGS);
+}
+
+// Key presses aimed at these are left to the page
+const FORM_FIELDS = 'input, select, textarea';
+// So are keys on these, except pause: Esc and P don't press buttons, and the pause
+// screen tells players to use them even when one of its buttons has focus
+const CONTROLS = 'button, a, [role=button]';
+
+// Gamepad layout follows the "standard" mapping
+const STICK_DEADZONE = 0.3;
+const PAD_BUTTONS = {
+  jump: [0, 1, 12], // A, B, d-pad up
+  left: [14], // d-pad left
+  right: [15], // d-pad right
+  slide: [13, 2], // d-pad down, X
+  pause: [9] // Start
+};
+
+// Letters are matched case-insensitively, everything else by its key name
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function describeKey(key) {
+  if (!key) return '—';
+  if (key === ' ') return 'Space';
+  if (key.startsWith('Arrow')) return `${key.slice(5)} arrow`;
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+export function loadBindings(player = 1) {
+  const defaults = defaultBindings(player);
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_KEYS[player]));
+    if (saved && typeof saved === 'object') {
+      // Actions added since the bindings were saved get their defaults
+      return Object.fromEntries(ACTIONS.map(action => [
+        action,
+        Array.isArray(saved[action]) ? saved[action] : defaults[action]
+      ]));
+    }
+  } catch (error) {
+    console.error('Error reading control bindings, using defaults:', error);
+  }
+  return defaults;
+}
+
+export function saveBindings(bindings, player = 1) {
+  localStorage.setItem(BINDINGS_KEYS[player], JSON.stringify(bindings));
+}
+
+// Every key in a set of bindings
+export function boundKeys(bindings) {
+  return Object.values(bindings).flat().filter(Boolean);
+}
+
+// Binds key to action slot, taking it away from anything else that used it
+export function rebind(bindings, action, slot, key) {
+  const normalized = normalizeKey(key);
+  ACTIONS.forEach(other => {
+    bindings[other] = bindings[other].map(bound => (bound === normalized ? null : bound));
+  });
+  bindings[action][slot] = normalized;
+  return bindings;
+}
+
+export function createInput(bindings = loadBindings()) {
+  const held = Object.fromEntries(ACTIONS.map(action => [action, new Set()]));
+  const pressed = new Set(); // Actions pressed since the last consumePressed()
+  const listeners = [];
+  const axes = new Map(); // Analog steering source -> -1..1
+  const padButtonsDown = new Map(); // "pad:button" -> was down on the last poll
+  let keyMap = new Map();
+  let blockedKeys = new Set(); // Keys that belong to the other player
+  let padIndex = null; // Only this gamepad when set, otherwise all of them
+  let enabled = true; // Player 2's input only listens during two-player games
+
+  function buildKeyMap() {
+    keyMap = new Map();
+    ACTIONS.forEach(action => {
+      bindings[action].forEach(key => {
+        if (key) keyMap.set(key, action);
+      });
+    });
+  }
+
+  function press(action, source) {
+    const sources = held[action];
+    if (sources.has(source)) return;
+    const wasHeld = sources.size > 0;
+    sources.add(source);
+    if (!wasHeld) {
+      pressed.add(action);
+      listeners.forEach(listener => listener(action));
+    }
+  }
+
+  function release(action, source) {
+    held[action].delete(source);
+  }
+
+  function pollGamepads() {
+    if (!enabled) return;
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+      if (!pad || !pad.connected) continue;
+      if (padIndex !== null && pad.index !== padIndex) continue;
+      const source = `pad:${pad.index}`;
+
+      // Left stick with a deadzone, so a resting stick doesn't drift
+      const stickX = pad.axes[0] ?? 0;
+      const stickY = pad.axes[1] ?? 0;
+      if (stickX < -STICK_DEADZONE) press('left', `${source}:stick`); else release('left', `${source}:stick`);
+      if (stickX > STICK_DEADZONE) press('right', `${source}:stick`); else release('right', `${source}:stick`);
+      if (stickY > STICK_DEADZONE * 2) press('slide', `${source}:stick`); else release('slide', `${source}:stick`);
+
+      Object.entries(PAD_BUTTONS).forEach(([action, buttons]) => {
+        buttons.forEach(button => {
+          const id = `${source}:${button}`;
+          const down = Boolean(pad.buttons[button] && pad.buttons[button].pressed);
+          if (down && !padButtonsDown.get(id)) press(action, id);
+          if (!down && padButtonsDown.get(id)) release(action, id);
+          padButtonsDown.set(id, down);
+        });
+      });
+    }
+  }
+
+  // Forget everything that's held, e.g. when focus is lost and key-ups won't arrive
+  function releaseAll() {
+    ACTIONS.forEach(action => held[action].clear());
+    axes.clear();
+    pressed.clear();
+  }
+
+  function handleKey(event, down) {
+    if (!enabled) return;
+    // Typing in a form field (e.g. the leaderboard name) isn't game input, and keys
+    // like Space and Enter on a focused button or link belong to that control
+    const closest = selector => event.target.closest && event.target.closest(selector);
+    if (closest(FORM_FIELDS)) return;
+
+    const key = normalizeKey(event.key);
+    if (blockedKeys.has(key)) return;
+    const action = keyMap.get(key);
+    if (!action) return;
+    if (action !== 'pause' && closest(CONTROLS)) return;
+    event.preventDefault();
+    if (down) {
+      press(action, `key:${key}`);
+    } else {
+      release(action, `key:${key}`);
+    }
+  }
+
+  buildKeyMap();
+
+  return {
+    press,
+    release,
+    pollGamepads,
+    isHeld(action) {
+      return held[action].size > 0;
+    },
+    setAxis(source, value) {
+      if (value === 0) axes.delete(source); else axes.set(source, value);
+    },
+    // Sum of all analog steering, -1 (left) to 1 (right)
+    analogSteer() {
+      let steer = 0;
+      axes.forEach(value => { steer += value; });
+      return Math.min(1, Math.max(-1, steer));
+    },
+    // True once per press - used for jump, whose held state matters too
+    consumePressed(action) {
+      const wasPressed = pressed.has(action);
+      pressed.delete(action);
+      return wasPressed;
+    },
+    clearPressed() {
+      pressed.clear();
+    },
+    releaseAll,
+    onAction(listener) {
+      listeners.push(listener);
+    },
+    setBindings(newBindings) {
+      bindings = newBindings;
+      buildKeyMap();
+    },
+    get bindings() {
+      return bindings;
+    },
+    // Two-player games: ignore the other player's keys and read one gamepad only
+    setBlockedKeys(keys) {
+      blockedKeys = new Set(keys.map(normalizeKey));
+    },
+    setGamepadIndex(index) {
+      padIndex = index;
+      ACTIONS.forEach(action => {
+        held[action].forEach(source => {
+          if (source.startsWith('pad:')) held[action].delete(source);
+        });
+      });
+      padButtonsDown.clear();
+    },
+    // A disabled input ignores its keys and gamepads, and lets go of anything held
+    setEnabled(value) {
+      enabled = value;
+      if (!enabled) releaseAll();
+    },
+    attachKeyboard(target = window) {
+      target.addEventListener('keydown', event => handleKey(event, true));
+      target.addEventListener('keyup', event => handleKey(event, false));
+    },
+    // Touch and mouse buttons: held while a finger or the mouse button is down on the element
+    attachButton(element, action) {
+      const source = `button:${element.id}`;
+      const down = (event) => {
+        event.preventDefault();
+        press(action, source);
+      };
+      const up = (event) => {
+        event.preventDefault();
+        release(action, source);
+      };
+      element.addEventListener('touchstart', down);
+      element.addEventListener('touchend', up);
+      element.addEventListener('touchcancel', up);
+      element.addEventListener('touchmove', event => event.preventDefault());
+      element.addEventListener('mousedown', down);
+      element.addEventListener('mouseup', up);
+      element.addEventListener('mouseleave', up);
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// Local top-10 leaderboard, kept in localStorage.
+// Entries: { name, score, date (ISO string), duration (ms), cause }
+// Older versions only stored a single number under "poppyHighScore"; that is
+// migrated into the leaderboard the first time it's loaded.
+
+import { HAZARD_CAUSES } from './hazards.js';
+
+const STORAGE_KEY = 'poppyLeaderboard';
+const LEGACY_HIGH_SCORE_KEY = 'poppyHighScore';
+const PLAYER_NAME_KEY = 'poppyPlayerName';
+export const MAX_ENTRIES = 10;
+const MAX_NAME_LENGTH = 16;
+
+// How each run ended, from the hazards' own labels
+export const CAUSE_LABELS = {
+  ...HAZARD_CAUSES,
+  unknown: 'Unknown'
+};
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => b.score - a.score || (a.date ?? '').localeCompare(b.date ?? ''));
+}
+
+export function loadLeaderboard() {
+  let entries = [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) entries = saved.filter(entry => entry && Number.isFinite(entry.score));
+  } catch (error) {
+    console.error('Error reading leaderboard, starting fresh:', error);
+  }
+
+  // One-time migration of the old single high score
+  const legacy = parseInt(localStorage.getItem(LEGACY_HIGH_SCORE_KEY), 10);
+  if (Number.isFinite(legacy)) {
+    if (legacy > 0) {
+      entries.push({ name: 'Poppy', score: legacy, date: null, duration: null, cause: 'unknown' });
+    }
+    localStorage.removeItem(LEGACY_HIGH_SCORE_KEY);
+    entries = sortEntries(entries).slice(0, MAX_ENTRIES);
+    saveLeaderboard(entries);
+  }
+
+  return sortEntries(entries).slice(0, MAX_ENTRIES);
+}
+
+export function saveLeaderboard(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+export function topScore(entries) {
+  return entries.length ? entries[0].score : 0;
+}
+
+export function qualifies(entries, score) {
+  if (score <= 0) return false;
+  return entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score;
+}
+
+// Adds and saves an entry. Returns the updated list and the new entry's index (-1 if it didn't make it)
+export function addEntry(entries, entry) {
+  const cleaned = { ...entry, name: cleanName(entry.name) };
+  const updated = sortEntries([...entries, cleaned]).slice(0, MAX_ENTRIES);
+  saveLeaderboard(updated);
+  return { entries: updated, rank: updated.indexOf(cleaned) };
+}
+
+export function cleanName(name) {
+  const trimmed = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  return trimmed || 'Anonymous';
+}
+
+export function loadPlayerName() {
+  return localStorage.getItem(PLAYER_NAME_KEY) ?? '';
+}
+
+export function savePlayerName(name) {
+  localStorage.setItem(PLAYER_NAME_KEY, cleanName(name));
+}
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,225 @@
+// Level mode: authored sequences of cheese and hazard rows loaded from JSON.
+// Level files live in public/levels/ and are listed in public/levels/index.json.
+//
+// Format (version 1):
+// {
+//   "format": 1,
+//   "name": "Warm-up",
+//   "scrollSpeed": 0.12,                // Optional, units per tick
+//   "lanes": [-6, -3, 0, 3, 6],         // Optional, X position of each lane
+//   "patterns": {
+//     "trapGate": {
+//       "length": 2000,                 // Optional, ms the pattern lasts (defaults to its last row)
+//       "rows": [{ "at": 0, "row": "T.C.T" }]
+//     }
+//   },
+//   "sequence": [{ "pattern": "trapGate", "repeat": 2, "gap": 500 }]
+// }
+//
+// Each character of a row is one lane: "C" cheese, "T" mousetrap, "K" knife, "k" raised knife
+// (slide under it), "R" rolling pin, "." empty, and the power-ups "M" magnet, "S" shield, "G" golden cheese, "H" slow-time (hourglass).
+// Knives are centred on their lane with the blade towards +X, so they normally go in the middle lane.
+// The chef throws them as authored rather than aiming at Poppy.
+// Rolling pins start at the board edge on their lane's side and sweep across.
+// Patterns play back to back in sequence order, then the finish line is sent down the board.
+
+import { SPAWN_Z } from './difficulty.js';
+
+export const LEVEL_FORMAT = 1;
+export const DEFAULT_LANES = [-6, -3, 0, 3, 6];
+const ROW_TYPES = {
+  C: { type: 'cheese' },
+  T: { type: 'trap' },
+  K: { type: 'knife', yaw: 0 },
+  k: { type: 'knife', yaw: 0, raised: true },
+  R: { type: 'rollingPin' },
+  M: { type: 'powerup', kind: 'magnet' },
+  S: { type: 'powerup', kind: 'shield' },
+  G: { type: 'powerup', kind: 'golden' },
+  H: { type: 'powerup', kind: 'slowTime' }
+};
+const FINISH_DELAY = 1500; // ms between the last row and the finish line
+const BOARD_HALF_WIDTH = 8;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Returns a list of human readable problems - empty when the level is valid
+export function validateLevel(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Level must be a JSON object'];
+  }
+  if (data.format !== LEVEL_FORMAT) {
+    errors.push(`"format" must be ${LEVEL_FORMAT}`);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('"name" must be a non-empty string');
+  }
+  if (data.scrollSpeed !== undefined && (!isNumber(data.scrollSpeed) || data.scrollSpeed <= 0)) {
+    errors.push('"scrollSpeed" must be a positive number');
+  }
+
+  const lanes = data.lanes ?? DEFAULT_LANES;
+  if (!Array.isArray(lanes) || lanes.length === 0 || !lanes.every(x => isNumber(x) && Math.abs(x) <= BOARD_HALF_WIDTH)) {
+    errors.push(`"lanes" must be a list of X positions between -${BOARD_HALF_WIDTH} and ${BOARD_HALF_WIDTH}`);
+  }
+
+  const patterns = data.patterns;
+  if (!patterns || typeof patterns !== 'object' || Array.isArray(patterns) || Object.keys(patterns).length === 0) {
+    errors.push('"patterns" must be an object with at least one pattern');
+  } else {
+    Object.entries(patterns).forEach(([name, pattern]) => {
+      const where = `pattern "${name}"`;
+      if (!pattern || !Array.isArray(pattern.rows) || pattern.rows.length === 0) {
+        errors.push(`${where} needs a non-empty "rows" list`);
+        return;
+      }
+      let lastAt = -1;
+      pattern.rows.forEach((row, index) => {
+        const rowWhere = `${where} row ${index}`;
+        if (!row || !isNumber(row.at) || row.at < 0) {
+          errors.push(`${rowWhere}: "at" must be a time in ms >= 0`);
+        } else if (row.at < lastAt) {
+          errors.push(`${rowWhere}: rows must be in time order`);
+        } else {
+          lastAt = row.at;
+        }
+        if (!row || typeof row.row !== 'string') {
+          errors.push(`${rowWhere}: "row" must be a string like "C.T.."`);
+        } else {
+          if (Array.isArray(lanes) && row.row.length !== lanes.length) {
+            errors.push(`${rowWhere}: "${row.row}" has ${row.row.length} lanes, expected ${lanes.length}`);
+          }
+          const invalid = [...row.row].filter(char => char !== '.' && !ROW_TYPES[char]);
+          if (invalid.length) {
+            errors.push(`${rowWhere}: unknown lane markers "${invalid.join('')}" (use ${Object.keys(ROW_TYPES).join(', ')} or .)`);
+          }
+        }
+      });
+      if (pattern.length !== undefined && (!isNumber(pattern.length) || pattern.length < lastAt)) {
+        errors.push(`${where}: "length" must be a number no shorter than its last row`);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.sequence) || data.sequence.length === 0) {
+    errors.push('"sequence" must be a non-empty list');
+  } else {
+    data.sequence.forEach((step, index) => {
+      const where = `sequence step ${index}`;
+      if (!step || typeof step.pattern !== 'string') {
+        errors.push(`${where}: "pattern" must name a pattern`);
+      } else if (patterns && typeof patterns === 'object' && !Object.hasOwn(patterns, step.pattern)) {
+        errors.push(`${where}: unknown pattern "${step.pattern}"`);
+      }
+      if (step && step.repeat !== undefined && (!Number.isInteger(step.repeat) || step.repeat < 1)) {
+        errors.push(`${where}: "repeat" must be a whole number >= 1`);
+      }
+      if (step && step.gap !== undefined && (!isNumber(step.gap) || step.gap < 0)) {
+        errors.push(`${where}: "gap" must be a time in ms >= 0`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+export async function loadLevel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Couldn't load level ${url} (HTTP ${response.status})`);
+  }
+  const data = await response.json();
+  const errors = validateLevel(data);
+  if (errors.length) {
+    throw new Error(`Invalid level ${url}:\n- ${errors.join('\n- ')}`);
+  }
+  return data;
+}
+
+// The same for the level list (levels/index.json)
+export function validateLevelIndex(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.levels)) {
+    return ['Level list must have a "levels" array'];
+  }
+  const errors = [];
+  const ids = new Set();
+  data.levels.forEach((entry, index) => {
+    const where = `level ${index}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    ['id', 'name', 'file'].forEach(field => {
+      if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+        errors.push(`${where}: "${field}" must be a non-empty string`);
+      }
+    });
+    if (ids.has(entry.id)) errors.push(`${where}: duplicate id "${entry.id}"`);
+    ids.add(entry.id);
+  });
+  return errors;
+}
+
+export async function loadLevelIndex(url = '/levels/index.json') {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Couldn't load level list (HTTP ${response.status})`);
+  }
+  const index = await response.json();
+  const errors = validateLevelIndex(index);
+  if (errors.length) {
+    throw new Error(`Invalid level list:\n- ${errors.join('\n- ')}`);
+  }
+  return index.levels;
+}
+
+// Flattens a validated level into absolute-time spawn events
+export function buildTimeline(level) {
+  const lanes = level.lanes ?? DEFAULT_LANES;
+  const events = [];
+  let cursor = 0;
+
+  level.sequence.forEach(step => {
+    const pattern = level.patterns[step.pattern];
+    const length = pattern.length ?? pattern.rows[pattern.rows.length - 1].at;
+
+    for (let i = 0; i < (step.repeat ?? 1); i++) {
+      pattern.rows.forEach(row => {
+        const spawns = [];
+        [...row.row].forEach((char, lane) => {
+          if (ROW_TYPES[char]) spawns.push({ ...ROW_TYPES[char], x: lanes[lane], z: SPAWN_Z });
+        });
+        if (spawns.length) events.push({ at: cursor + row.at, spawns });
+      });
+      cursor += length + (step.gap ?? 0);
+    }
+  });
+
+  events.push({ at: cursor + FINISH_DELAY, spawns: [{ type: 'finish', x: 0, z: SPAWN_Z }] });
+  return events;
+}
+
+// Same interface as the endless difficulty director, but plays back an authored level
+export function createLevelDirector(level, fallbackSpeed) {
+  const scrollSpeed = level.scrollSpeed ?? fallbackSpeed;
+  let events = buildTimeline(level);
+
+  return {
+    reset() {
+      events = buildTimeline(level);
+    },
+    update(simTime) {
+      const spawns = [];
+      while (events.length && events[0].at <= simTime) {
+        spawns.push(...events.shift().spawns);
+      }
+      return { spawns, scrollSpeed };
+    },
+    level: 0,
+    wave: null
+  };
+}
@@ -0,0 +1,66 @@
+// Lives and invulnerability.
+// A hit costs one life and makes Poppy invulnerable for a short while; the run only
+// ends when the last life is gone. Score milestones hand out bonus lives.
+
+export const LIVES_CONFIG = {
+  startingLives: 3,
+  maxLives: 5,
+  invulnerableMs: 1500, // Grace period after a hit (Poppy blinks)
+  bonusLifeEvery: 25, // Score milestone for an extra life, 0 to disable
+  knockbackSpeed: 0.6, // Sideways push in units per tick, decays every tick
+  knockbackDecay: 0.85,
+  knockbackHop: 0.2 // Small upward bounce on a hit
+};
+
+// Kiosk builds can override the number of lives with ?lives=N in the URL
+export function livesConfigFromUrl(search, config = LIVES_CONFIG) {
+  const lives = parseInt(new URLSearchParams(search).get('lives'), 10);
+  if (!Number.isInteger(lives) || lives < 1) return config;
+  return { ...config, startingLives: lives, maxLives: Math.max(config.maxLives, lives) };
+}
+
+export function createLives(config = LIVES_CONFIG) {
+  return {
+    config,
+    lives: config.startingLives,
+    invulnerableUntil: 0,
+    nextBonusAt: config.bonusLifeEvery
+  };
+}
+
+export function isInvulnerable(state, simTime) {
+  return simTime < state.invulnerableUntil;
+}
+
+// Short invulnerability without losing a life, e.g. when a shield pops
+export function grantInvulnerability(state, simTime, ms) {
+  state.invulnerableUntil = Math.max(state.invulnerableUntil, simTime + ms);
+}
+
+// Returns 'ignored' during invulnerability, 'hurt' when a life was lost, 'dead' on the last one
+export function takeHit(state, simTime) {
+  if (isInvulnerable(state, simTime)) return 'ignored';
+
+  state.lives--;
+  if (state.lives <= 0) {
+    state.lives = 0;
+    return 'dead';
+  }
+  state.invulnerableUntil = simTime + state.config.invulnerableMs;
+  return 'hurt';
+}
+
+// Returns true when the score crossed a milestone and a life was added
+export function checkBonusLife(state, score) {
+  const every = state.config.bonusLifeEvery;
+  let awarded = false;
+
+  while (every && score >= state.nextBonusAt) {
+    state.nextBonusAt += every;
+    if (state.lives < state.config.maxLives) {
+      state.lives++;
+      awarded = true;
+    }
+  }
+  return awarded;
+}
@@ -0,0 +1,56 @@
+// Fixed-timestep game loop.
+// The simulation always advances in steps of TICK_MS, no matter how often the
+// display refreshes. Rendering happens once per animation frame and receives an
+// interpolation factor (0..1) describing how far we are between the last two ticks.
+// A time scale below 1 feeds the simulation less time per frame, slowing the whole
+// game down without changing what happens on any tick.
+
+export const TICK_RATE = 60; // Simulation ticks per second
+export const TICK_MS = 1000 / TICK_RATE;
+
+const MAX_FRAME_MS = 250; // Clamp long frames (tab switches, debugger pauses) so we don't fast-forward
+const MAX_TICKS_PER_FRAME = 10; // Safety net against the "spiral of death" on very slow devices
+
+export function createFixedLoop({ update, render }) {
+  let accumulator = 0;
+  let lastTime = null;
+  let frameId = null;
+  let timeScale = 1;
+
+  function frame(now) {
+    frameId = requestAnimationFrame(frame);
+
+    if (lastTime === null) lastTime = now;
+    accumulator += Math.min(now - lastTime, MAX_FRAME_MS) * timeScale;
+    lastTime = now;
+
+    let ticks = 0;
+    while (accumulator >= TICK_MS && ticks < MAX_TICKS_PER_FRAME) {
+      update();
+      accumulator -= TICK_MS;
+      ticks++;
+    }
+    if (ticks === MAX_TICKS_PER_FRAME) accumulator = 0; // Drop the backlog instead of catching up forever
+
+    render(accumulator / TICK_MS);
+  }
+
+  return {
+    start() {
+      if (frameId === null) frameId = requestAnimationFrame(frame);
+    },
+    stop() {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      frameId = null;
+      lastTime = null;
+    },
+    // Forget the time since the last frame, e.g. after the loop was starved
+    resetClock() {
+      lastTime = null;
+      accumulator = 0;
+    },
+    setTimeScale(scale) {
+      timeScale = scale;
+    }
+  };
+}
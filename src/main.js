@@ -2,18 +2,77 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-
-// Mobile detection for performance optimization
-const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || 
-                 (navigator.maxTouchPoints && navigator.maxTouchPoints > 2 && /MacIntel/.test(navigator.platform));
-
-console.log('Device detected:', isMobile ? 'Mobile' : 'Desktop', '- Quality settings adjusted accordingly');
-
-// Debug counter for mobile
-let frameCount = 0;
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+import { createPhotoMode } from './photoMode.js';
+import { chefTarget } from './chef.js';
+import { createChefRig } from './chefRig.js';
+import { createPoppyRig } from './poppyRig.js';
+import { createEffects } from './effects.js';
+import { HAZARD_VIEWS, createShadowTexture } from './hazardViews.js';
+import { createFixedLoop } from './loop.js';
+import { createAssetManager } from './assets.js';
+import { createAudioManager } from './audio.js';
+import { createQualityController, loadQualitySettings, activeQualityLevel, QUALITY_PRESETS } from './quality.js';
+import { randomSeed } from './random.js';
+import { loadLevel, loadLevelIndex } from './levels.js';
+import { createPool, getPoolStats } from './pool.js';
+import { moveConfigFromUrl, MOVE_CONFIG } from './moves.js';
+import { livesConfigFromUrl, isInvulnerable, LIVES_CONFIG } from './lives.js';
+import { PLAY_MODES, teamsOf, livingPlayers, winningTeam } from './players.js';
+import { isActive, activePowerUps } from './powerups.js';
+import { createGame, step, bestTeamScore } from './game.js';
+import { createInput, loadBindings, boundKeys } from './input.js';
+import { createGestureControls } from './gestures.js';
+import { setupControlsScreen } from './controlsScreen.js';
+import { setupStatsScreen } from './statsScreen.js';
+import { createAccessibility, createAnnouncer, simAssist } from './accessibility.js';
+import { loadStats, saveStats, checkAchievements, recordRun } from './stats.js';
+import {
+  loadLeaderboard,
+  addEntry,
+  qualifies,
+  topScore,
+  loadPlayerName,
+  savePlayerName,
+  formatDuration,
+  CAUSE_LABELS
+} from './leaderboard.js';
+import {
+  createRecorder,
+  createPlayback,
+  downloadReplay,
+  readReplayFile,
+  INPUT_LEFT,
+  INPUT_RIGHT,
+  INPUT_JUMP,
+  INPUT_JUMP_HELD,
+  INPUT_SLIDE,
+  packInputs,
+  encodeSteer
+} from './replay.js';
+
+// Verbose logging, turned on with ?debug in the URL
+const debug = new URLSearchParams(window.location.search).has('debug');
+
+// Debug tick counter
+let tickCount = 0;
+
+// Everything is loaded through the asset manager, which drives the progress bar on the start screen
+const startButton = document.getElementById('start-button');
+const loadReplayButton = document.getElementById('load-replay-button');
+const assets = createAssetManager({
+  onProgress: (fraction) => {
+    const percent = Math.round(fraction * 100);
+    document.getElementById('loading-fill').style.width = `${percent}%`;
+    document.getElementById('loading-text').textContent = `Loading the kitchen... ${percent}%`;
+  },
+  onFailure: ({ label, fallback }) => {
+    const item = document.createElement('li');
+    item.textContent = `${label} couldn't load. ${fallback}`;
+    document.getElementById('asset-errors').appendChild(item);
+  }
+});
 
 // 1. Core Scene Setup
 const scene = new THREE.Scene();
@@ -33,25 +92,25 @@ camera.lookAt(0, 5, -20); // Look more horizontally towards the game area
 const listener = new THREE.AudioListener();
 camera.add(listener);
 
-const renderer = new THREE.WebGLRenderer({ antialias: !isMobile });
+// Antialiasing can only be picked when the renderer is created, so it follows the
+// quality level this device used last time. Everything else adapts while playing.
+const renderer = new THREE.WebGLRenderer({ antialias: activeQualityLevel(loadQualitySettings()) !== 'low' });
 renderer.setSize(window.innerWidth, window.innerHeight);
-
-// Enable shadows only on desktop for better mobile performance
-if (!isMobile) {
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-}
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
 document.body.appendChild(renderer.domElement);
 
 // Create OrbitControls for Photo Mode
 const controls = new OrbitControls(camera, renderer.domElement);
-controls.enabled = false; // Disabled during gameplay
+controls.enabled = false; // Only photo mode turns them on
 
 // Load HDRI for background and environment lighting
-const exrLoader = new EXRLoader();
 console.log('Loading restaurant HDRI...');
-exrLoader.load('/hdri/restaurant.exr', (texture) => {
+assets.load('exr', '/hdri/restaurant.exr', {
+  label: 'Restaurant backdrop',
+  fallback: 'Using a plain cream background.'
+}).then((texture) => {
   console.log('HDRI texture loaded:', texture);
   texture.mapping = THREE.EquirectangularReflectionMapping;
   
@@ -61,8 +120,7 @@ exrLoader.load('/hdri/restaurant.exr', (texture) => {
   
   console.log('Restaurant HDRI background set successfully');
   console.log('Scene background is now:', scene.background);
-}, undefined, (error) => {
-  console.error('Error loading restaurant HDRI:', error);
+}, () => {
   // Fallback to the creamy yellow background
   scene.background = new THREE.Color(0xFFFDD0);
   console.log('Using fallback background color');
@@ -73,55 +131,138 @@ const composer = new EffectComposer(renderer);
 const renderPass = new RenderPass(scene, camera);
 composer.addPass(renderPass);
 
-// Add bloom effect only on desktop for better mobile performance
-if (!isMobile) {
-  const bloomPass = new UnrealBloomPass(
-    new THREE.Vector2(window.innerWidth, window.innerHeight),
-    0.35, // strength
-    0.4, // radius
-    0.9 // threshold
-  );
-  composer.addPass(bloomPass);
-}
+// Bloom is switched on and off by the quality level
+const bloomPass = new UnrealBloomPass(
+  new THREE.Vector2(window.innerWidth, window.innerHeight),
+  0.35, // strength
+  0.4, // radius
+  0.9 // threshold
+);
+composer.addPass(bloomPass);
+
+// Photo mode adds its own passes after bloom
+const photoMode = createPhotoMode({ scene, camera, renderer, composer, controls });
 
 // 2. Loaders and Reusable Materials
-const textureLoader = new THREE.TextureLoader();
-const audioLoader = new THREE.AudioLoader();
-const gltfLoader = new GLTFLoader();
 
-// Load the cheese 3D model
-let cheeseModel = null;
-gltfLoader.load('/models/cheese/scene.gltf', (gltf) => {
-  cheeseModel = gltf.scene;
-}, undefined, (error) => {
-  console.error('Error loading cheese model:', error);
-});
+// Spawnable objects are pooled: each model is cloned up front and the clones are
+// recycled across spawns and restarts. Pooled objects stay in the scene and are hidden when free.
+function createModelPool(name, model, prepare, prewarm) {
+  return createPool(name, () => {
+    const object = model.clone();
+    prepare(object);
+
+    // Enable shadows for all meshes in the model
+    object.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+
+    object.visible = false;
+    scene.add(object);
+    return object;
+  }, {
+    prewarm,
+    onAcquire: (object) => { object.visible = true; },
+    onRelease: (object) => { object.visible = false; }
+  });
+}
 
-// Load the mousetrap 3D model
-let mousetrapModel = null;
-gltfLoader.load('/models/mousetrap/scene.gltf', (gltf) => {
-  mousetrapModel = gltf.scene;
-}, undefined, (error) => {
-  console.error('Error loading mousetrap model:', error);
-});
+// Stand-in models for when a required model fails to load. They're sized to match
+// the hitboxes in collision.js after the same scaling as the real models; hazards
+// bring their own (see hazardViews.js).
+function fallbackMaterial(color) {
+  return new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
+}
+
+function createFallbackCheese() {
+  const wedge = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 0.4, 3), fallbackMaterial(0xFFC107));
+  wedge.position.y = 0.2;
+  return new THREE.Group().add(wedge);
+}
+
+function createFallbackMouse() {
+  const mouse = new THREE.Group();
+  const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.25, 0.4, 4, 12), fallbackMaterial(0x9E9E9E));
+  body.rotation.x = Math.PI / 2; // Lying along the running direction
+  body.position.y = 0.25;
+  const ears = new THREE.Mesh(new THREE.SphereGeometry(0.12, 10, 8), fallbackMaterial(0xF8BBD0));
+  ears.scale.set(2.6, 1, 0.4);
+  ears.position.set(0, 0.5, 0.3);
+  mouse.add(body, ears);
+  return mouse;
+}
 
-// Load the knife 3D model
-let knifeModel = null;
-gltfLoader.load('/models/knife/scene.gltf', (gltf) => {
-  knifeModel = gltf.scene;
-}, undefined, (error) => {
-  console.error('Error loading knife model:', error);
+// Load the cheese 3D model
+let cheesePool = null;
+let goldenCheesePool = null;
+function setupCheese(model) {
+  cheesePool = createModelPool('cheese', model, (cheese) => {
+    cheese.scale.setScalar(2.0); // Make cheese even bigger for better visibility
+  }, 16);
+
+  // Golden cheese power-up: the same model, gilded
+  const goldMaterial = new THREE.MeshStandardMaterial({
+    color: 0xFFD700,
+    emissive: 0xAA7700,
+    emissiveIntensity: 0.6,
+    metalness: 0.9,
+    roughness: 0.25
+  });
+  goldenCheesePool = createModelPool('goldenCheese', model, (cheese) => {
+    cheese.scale.setScalar(2.4);
+    cheese.traverse((child) => {
+      if (child.isMesh) child.material = goldMaterial;
+    });
+  }, 2);
+}
+assets.load('gltf', '/models/cheese/scene.gltf', {
+  label: 'Cheese model',
+  required: true,
+  fallback: 'Using simple cheese wedges.'
+}).then(gltf => setupCheese(gltf.scene), () => setupCheese(createFallbackCheese()));
+
+// Hazard pools by hazard type, filled in as their models load. Each hazard's view
+// says how its pool is built (see hazardViews.js)
+const hazardPools = {};
+Object.entries(HAZARD_VIEWS).forEach(([type, { pool }]) => {
+  if (pool.create) {
+    hazardPools[type] = createProceduralPool(type, pool.create, pool.prewarm);
+    return;
+  }
+  assets.load('gltf', pool.model, {
+    label: pool.label,
+    required: true,
+    fallback: pool.fallback
+  }).then(gltf => gltf.scene, () => pool.createFallback()).then(model => {
+    hazardPools[type] = createModelPool(type, model, pool.prepare, pool.prewarm);
+  });
 });
 
-// Load the chef 3D model
+// Load the chef 3D model. The rig animates him and draws his attacks
+const chefRig = createChefRig(scene);
 let chefModel = null;
 console.log('Attempting to load chef model from /models/chef/scene.gltf');
 
-// Load chef texture first
-const chefTexture = textureLoader.load('/models/chef/textures/Material0_diffuse.jpeg');
-chefTexture.flipY = false; // GLTF textures are typically not flipped
-
-gltfLoader.load('/models/chef/scene.gltf', (gltf) => {
+// Load chef texture first - without it the chef keeps the model's own materials
+const chefTexture = assets.load('texture', '/models/chef/textures/Material0_diffuse.jpeg', {
+  label: 'Chef texture',
+  fallback: 'The chef keeps his plain materials.'
+}).then((texture) => {
+  texture.flipY = false; // GLTF textures are typically not flipped
+  return texture;
+}, () => null);
+
+// The chef is scenery, so he doesn't hold up the start button
+Promise.all([
+  assets.load('gltf', '/models/chef/scene.gltf', {
+    label: 'Chef model',
+    fallback: 'The kitchen will be chef-less.'
+  }),
+  chefTexture
+]).then(([gltf, chefTexture]) => {
   console.log('Chef GLTF loaded successfully:', gltf);
   const chef = gltf.scene;
   
@@ -164,7 +305,7 @@ gltfLoader.load('/models/chef/scene.gltf', (gltf) => {
         child.material = child.material.clone();
         
         // Apply the chef texture
-        child.material.map = chefTexture;
+        if (chefTexture) child.material.map = chefTexture;
         child.material.needsUpdate = true;
         
         // Fix material properties
@@ -177,21 +318,118 @@ gltfLoader.load('/models/chef/scene.gltf', (gltf) => {
   });
   
   console.log(`Chef model has ${meshCount} meshes with textures applied`);
-  scene.add(chef);
+  chefRig.attach(chef);
   chefModel = chef;
   console.log('Chef model centered, scaled, textured, and added to scene successfully');
-}, undefined, (error) => {
-  console.error('Error loading chef model:', error);
+}, () => {
+  // Already reported by the asset manager
 });
 
-const cheeseCollectibleTexture = textureLoader.load('/textures/cheese.jpg');
-const cheeseCollectibleMaterial = new THREE.MeshLambertMaterial({ map: cheeseCollectibleTexture });
+// Music and sound effects, routed through the listener on the camera
+const audio = createAudioManager(listener, scene, assets);
+
+// Hazard sounds play from where the hazard is
+const hazardSoundPosition = new THREE.Vector3();
+function playHazardSound(name, x, y, z) {
+  hazardSoundPosition.set(x, y, z);
+  audio.play(name, hazardSoundPosition);
+}
 
-const collectSound = new THREE.Audio(listener); // Now this works, because listener exists.
-audioLoader.load('/sounds/collect.mp3', function(buffer) {
-  collectSound.setBuffer(buffer);
-  collectSound.setLoop(false);
-  collectSound.setVolume(0.5);
+// Power-up pickups other than golden cheese, and some hazards, are simple procedural shapes
+function createProceduralPool(kind, buildMesh, prewarm = 2) {
+  return createPool(kind, () => {
+    const object = buildMesh();
+    object.traverse((child) => {
+      if (child.isMesh) child.castShadow = true;
+    });
+    object.visible = false;
+    scene.add(object);
+    return object;
+  }, {
+    prewarm,
+    onAcquire: (object) => { object.visible = true; },
+    onRelease: (object) => { object.visible = false; }
+  });
+}
+
+const powerUpPools = {
+  magnet: createProceduralPool('magnet', () => {
+    const magnet = new THREE.Group();
+    const horseshoe = new THREE.Mesh(
+      new THREE.TorusGeometry(0.6, 0.22, 10, 20, Math.PI),
+      new THREE.MeshStandardMaterial({ color: 0xE53935, emissive: 0x550000, roughness: 0.4 })
+    );
+    horseshoe.rotation.z = Math.PI; // Open end pointing down
+    magnet.add(horseshoe);
+    const tipMaterial = new THREE.MeshStandardMaterial({ color: 0xDDDDDD, metalness: 0.8, roughness: 0.3 });
+    [-0.6, 0.6].forEach(x => {
+      const tip = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.22, 0.35, 10), tipMaterial);
+      tip.position.set(x, -0.15, 0);
+      magnet.add(tip);
+    });
+    return magnet;
+  }),
+  shield: createProceduralPool('shield', () => new THREE.Mesh(
+    new THREE.IcosahedronGeometry(0.8, 0),
+    new THREE.MeshStandardMaterial({ color: 0x42A5F5, emissive: 0x0D47A1, emissiveIntensity: 0.5, flatShading: true })
+  )),
+  slowTime: createProceduralPool('slowTime', () => {
+    const hourglass = new THREE.Group();
+    const glassMaterial = new THREE.MeshStandardMaterial({ color: 0x80DEEA, emissive: 0x006064, emissiveIntensity: 0.4 });
+    const top = new THREE.Mesh(new THREE.ConeGeometry(0.55, 0.7, 12), glassMaterial);
+    top.rotation.x = Math.PI; // Tip down
+    top.position.y = 0.35;
+    const bottom = new THREE.Mesh(new THREE.ConeGeometry(0.55, 0.7, 12), glassMaterial);
+    bottom.position.y = -0.35;
+    hourglass.add(top, bottom);
+    return hourglass;
+  })
+};
+
+// Ground shadows under falling hazards
+const hazardShadowTexture = createShadowTexture();
+const hazardShadowGeometry = new THREE.PlaneGeometry(1, 1);
+hazardPools.shadow = createPool('shadow', () => {
+  const shadow = new THREE.Mesh(hazardShadowGeometry, new THREE.MeshBasicMaterial({
+    map: hazardShadowTexture,
+    transparent: true,
+    depthWrite: false
+  }));
+  shadow.rotation.x = -Math.PI / 2; // Lie flat on the board
+  shadow.visible = false;
+  scene.add(shadow);
+  return shadow;
+}, {
+  prewarm: 4,
+  onAcquire: (shadow) => { shadow.visible = true; },
+  onRelease: (shadow) => { shadow.visible = false; }
+});
+
+// Colour-coded hitbox outlines for high contrast mode. Drawn over everything so
+// hazards stand out however busy their textures are
+const outlineGeometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+hazardPools.outline = createPool('outline', () => {
+  const outline = new THREE.LineSegments(outlineGeometry, new THREE.LineBasicMaterial({
+    transparent: true,
+    depthTest: false
+  }));
+  outline.renderOrder = 1;
+  outline.visible = false;
+  scene.add(outline);
+  return outline;
+}, {
+  prewarm: 8,
+  onRelease: (outline) => { outline.visible = false; }
+});
+
+// Bubble shown around each mouse while her shield is up
+const shieldBubbleGeometry = new THREE.SphereGeometry(1.7, 24, 16);
+const shieldBubbleMaterial = new THREE.MeshBasicMaterial({ color: 0x64B5F6, transparent: true, opacity: 0.25, depthWrite: false });
+const shieldBubbles = [0, 1].map(() => {
+  const bubble = new THREE.Mesh(shieldBubbleGeometry, shieldBubbleMaterial);
+  bubble.visible = false;
+  scene.add(bubble);
+  return bubble;
 });
 
 // 3. Lighting
@@ -210,9 +448,92 @@ directionalLight.shadow.mapSize.width = 2048;
 directionalLight.shadow.mapSize.height = 2048;
 scene.add(directionalLight);
 
+// Particles, floating score numbers, speed lines and camera shake
+const effects = createEffects(scene, QUALITY_PRESETS.high);
+
+// Graphics quality: resolution, shadows, bloom and effects follow the chosen or measured level
+function applyQuality(level, preset) {
+  const pixelRatio = Math.min(window.devicePixelRatio, preset.maxPixelRatio);
+  renderer.setPixelRatio(pixelRatio);
+  composer.setPixelRatio(pixelRatio);
+
+  directionalLight.castShadow = preset.shadows;
+  if (directionalLight.shadow.mapSize.width !== preset.shadowMapSize) {
+    directionalLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+    // The shadow map is recreated at the new size on the next render
+    if (directionalLight.shadow.map) {
+      directionalLight.shadow.map.dispose();
+      directionalLight.shadow.map = null;
+    }
+  }
+
+  qualityBloom = preset.bloom;
+  updateBloom();
+  effects.setQuality(preset);
+  if (debug) console.log(`Graphics quality: ${preset.label} (pixel ratio ${pixelRatio})`); // Auto quality changes land here too
+}
+
+// Bloom needs the quality level to allow it and reduced motion to be off
+let qualityBloom = false;
+let reducedMotion = false;
+function updateBloom() {
+  bloomPass.enabled = qualityBloom && !reducedMotion;
+}
+
+// Accessibility: reduced motion, high contrast hazards and UI scale apply straight away;
+// assist options are read when a run starts (game speed also on resume)
+function applyAccessibility(state) {
+  reducedMotion = state.reducedMotion;
+  updateBloom();
+  effects.setReducedMotion(state.reducedMotion);
+  document.body.classList.toggle('reduced-motion', state.reducedMotion);
+  document.body.classList.toggle('high-contrast', state.highContrast);
+  document.documentElement.style.fontSize = `${state.uiScale * 100}%`;
+}
+
+const accessibility = createAccessibility({ onChange: applyAccessibility });
+const announcer = createAnnouncer(document.getElementById('announcer'));
+
+const quality = createQualityController({ onChange: applyQuality });
+
+// Optional FPS readout, refreshed twice a second
+const fpsCounter = document.getElementById('fps-counter');
+let lastFpsUpdate = 0;
+function updateFpsCounter(now) {
+  const show = quality.settings.showFps;
+  fpsCounter.style.display = show ? 'block' : 'none';
+  if (!show || now - lastFpsUpdate < 500) return;
+  lastFpsUpdate = now;
+  fpsCounter.textContent = `${Math.round(quality.fps)} FPS · ${quality.level}`;
+}
+
 // 4. Game Objects
+// Plain wooden slab in case the board model doesn't load
+function createFallbackBoard() {
+  const material = new THREE.MeshStandardMaterial({ color: 0xC8A27A, roughness: 0.8 });
+  assets.load('texture', '/textures/wood.jpg', {
+    label: 'Wood texture',
+    fallback: 'The stand-in board stays plain.'
+  }).then((texture) => {
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(2, 30);
+    material.map = texture;
+    material.color.set(0xFFFFFF);
+    material.needsUpdate = true;
+  }, () => {});
+
+  const board = new THREE.Mesh(new THREE.BoxGeometry(20, 1, 400), material);
+  board.position.y = -0.5; // Top surface at ground level
+  board.receiveShadow = true;
+  return board;
+}
+
 // Load the chopping board 3D model
-gltfLoader.load('/models/board/scene.gltf', (gltf) => {
+assets.load('gltf', '/models/board/scene.gltf', {
+  label: 'Chopping board model',
+  required: true,
+  fallback: 'Using a plain wooden board.'
+}).then((gltf) => {
   const board = gltf.scene;
   
   // Scale and position the board
@@ -228,25 +549,25 @@ gltfLoader.load('/models/board/scene.gltf', (gltf) => {
   });
   
   scene.add(board);
-}, undefined, (error) => {
-  console.error('Error loading board model:', error);
+}, () => {
+  scene.add(createFallbackBoard());
 });
 
-// Load the Poppy Mouse 3D model
-let poppy = null;
-gltfLoader.load('/models/mouse/scene.gltf', (gltf) => {
-  poppy = gltf.scene;
-  console.log('Poppy mouse model loaded successfully:', poppy ? 'YES' : 'NO');
-  
-  // Load the custom texture for Poppy Mouse
-  const mouseTextureLoader = new THREE.TextureLoader();
-  const poppyMouseTexture = mouseTextureLoader.load('/models/mouse/textures/poppy_mouse_texture.png');
+// Load the Poppy Mouse 3D model.
+// poppies[0] is Poppy; the second mouse, for two-player games, is a tinted copy.
+// Each has a rig that plays her animations (see poppyRig.js)
+const poppies = [];
+const poppyRigs = [];
+const poppyScale = 2.5;
+const PLAYER_TINTS = [null, 0x90CAF9];
+function setupPoppy(model, poppyMouseTexture, clips) {
+  const poppy = model;
   
   // Traverse the model to find and replace materials with custom texture
   poppy.traverse((child) => {
     if ((child.isMesh || child.isSkinnedMesh) && child.material) {
       // Apply custom texture to the material
-      child.material.map = poppyMouseTexture;
+      if (poppyMouseTexture) child.material.map = poppyMouseTexture;
       child.material.needsUpdate = true;
       
       // Disable shadow casting, but allow receiving shadows
@@ -257,146 +578,477 @@ gltfLoader.load('/models/mouse/scene.gltf', (gltf) => {
   
   // Position and scale the mouse model
   poppy.position.set(0, 1.5, 0); // Raised higher to sit properly on the board
-  poppy.scale.setScalar(2.5); // Reduce mouse size for better proportions
+  poppy.scale.setScalar(poppyScale); // Reduce mouse size for better proportions
   poppy.rotation.y = Math.PI; // Rotate 180 degrees to face away from camera
   
   scene.add(poppy);
-}, undefined, (error) => {
-  console.error('Error loading mouse model:', error);
+  poppies.push(poppy);
+  poppyRigs.push(createPoppyRig(poppy, clips, { baseScale: poppyScale }));
+
+  const second = cloneSkinned(poppy);
+  second.traverse((child) => {
+    if (child.isMesh && child.material) {
+      child.material = child.material.clone();
+      child.material.color.setHex(PLAYER_TINTS[1]);
+    }
+  });
+  second.visible = false;
+  scene.add(second);
+  poppies.push(second);
+  poppyRigs.push(createPoppyRig(second, clips, { baseScale: poppyScale }));
+}
+
+// Poppy and her texture load together; either one can fall back on its own
+Promise.allSettled([
+  assets.load('gltf', '/models/mouse/scene.gltf', {
+    label: 'Poppy model',
+    required: true,
+    fallback: 'Poppy is played by a stand-in mouse.'
+  }),
+  assets.load('texture', '/models/mouse/textures/poppy_mouse_texture.png', {
+    label: 'Poppy texture',
+    required: true,
+    fallback: 'Poppy keeps her plain colours.'
+  })
+]).then(([model, texture]) => {
+  const loaded = model.status === 'fulfilled';
+  console.log('Poppy mouse model loaded successfully:', loaded ? 'YES' : 'NO');
+  setupPoppy(
+    loaded ? model.value.scene : createFallbackMouse(),
+    texture.value ?? null,
+    loaded ? model.value.animations : []
+  );
 });
 
 // 5. Game State and Variables
-let gameRunning = true;
-const moveSpeed = 0.3;
-const gameSpeed = 0.12;
-const cheeses = [];
-const obstacles = [];
-const knives = [];
-let score = 0;
+// The run itself - players, objects on the board, clock and rules - is simulated in
+// game.js. Everything here is about feeding it input and showing what it's doing
+let gameRunning = false; // Becomes true once startGame() runs
+let paused = false; // Freezes the simulation (and with it all spawning) without ending the run
 let highScore = 0;
-const keys = { a: false, d: false };
+let leaderboard = [];
+const stats = loadStats(); // Lifetime totals and achievements
+const input = createInput(); // Keyboard, gamepad, touch and mouse all feed these actions
+const input2 = createInput(loadBindings(2)); // Player 2's keys and gamepad, read in two-player games
+input2.setEnabled(false); // Enter is player 2's jump, and must press menu buttons the rest of the time
+const inputs = [input, input2];
+
+// Jump and slide tuning lives in moves.js
+const moveConfig = moveConfigFromUrl(window.location.search);
+
+// Lives, invulnerability frames and bonus lives
+const livesConfig = livesConfigFromUrl(window.location.search);
+
+// The simulated run; the meshes are only a view of it. startGame() replaces it
+let game = createGame({ seed: randomSeed(), moveConfig, livesConfig });
+
+// Input recording, so any run can be replayed exactly
+let recorder = createRecorder(game.seed);
+let playback = null; // Set while watching a replay instead of playing live
+let lastReplay = null;
+
+// Endless runs use the difficulty director, level mode plays an authored level instead
+let currentLevel = null;
+let levelList = [];
+
+// Checkered strip across the board marking the end of a level
+const finishLineTexture = (() => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 8;
+  const context = canvas.getContext('2d');
+  for (let i = 0; i < 16; i++) {
+    for (let j = 0; j < 2; j++) {
+      context.fillStyle = (i + j) % 2 === 0 ? '#ffffff' : '#111111';
+      context.fillRect(i * 4, j * 4, 4, 4);
+    }
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.magFilter = THREE.NearestFilter;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+})();
+const finishLineGeometry = new THREE.PlaneGeometry(18, 2);
+const finishLineMaterial = new THREE.MeshLambertMaterial({ map: finishLineTexture });
+const finishLinePool = createPool('finishLine', () => {
+  const finishLine = new THREE.Mesh(finishLineGeometry, finishLineMaterial);
+  finishLine.rotation.x = -Math.PI / 2; // Lie flat on the board
+  finishLine.receiveShadow = true;
+  finishLine.visible = false;
+  scene.add(finishLine);
+  return finishLine;
+}, {
+  onAcquire: (finishLine) => { finishLine.visible = true; },
+  onRelease: (finishLine) => { finishLine.visible = false; }
+});
 
-// Jump mechanics variables
-let velocityY = 0;
-let isJumping = false;
-const gravity = 0.015;
-const playerBaseY = 1.5; // Updated to match new mouse position
+// Cheese, power-ups and finish lines in the game state are plain objects. Each one
+// gets a mesh from its pool when it first appears, which goes back once it's gone.
+// Hazards are drawn by their type's view, which takes and returns its own meshes
+// (see hazardViews.js)
+const entityMeshes = new Map();
+const hazardView = {
+  pools: hazardPools,
+  get highContrast() {
+    return accessibility.highContrast;
+  }
+};
+const hazardMeshes = new Map();
 
-// 6. Game Logic Functions
-function spawnCheese() {
-  if (!gameRunning || !cheeseModel) return;
+function entityPool(entity) {
+  if (entity.type === 'cheese') return cheesePool;
+  if (entity.type === 'powerup') return entity.kind === 'golden' ? goldenCheesePool : powerUpPools[entity.kind];
+  return finishLinePool;
+}
 
-  // Clone the 3D cheese model
-  const cheese = cheeseModel.clone();
-  
-  if (isMobile) console.log('Spawning cheese');
+// Simulated objects keep their previous tick's position too, so meshes can be
+// drawn part way between the two
+function interpolateMesh(mesh, entity, alpha) {
+  mesh.position.set(
+    THREE.MathUtils.lerp(entity.prevX, entity.x, alpha),
+    THREE.MathUtils.lerp(entity.prevY, entity.y, alpha),
+    THREE.MathUtils.lerp(entity.prevZ, entity.z, alpha)
+  );
+}
 
-  // Position and scale the cheese - spawn on the chopping board
-  cheese.position.x = (Math.random() - 0.5) * 12; // Wider spawn range to match larger board
-  cheese.position.y = 1.8; // Raised higher to sit properly on top of the board without phasing
-  cheese.position.z = -70 + (Math.random() - 0.5) * 10; // Add some Z variation to prevent merging
-  cheese.scale.setScalar(2.0); // Make cheese even bigger for better visibility
+// Brings the meshes in line with the game state, then draws everything at alpha
+function renderEntities(alpha) {
+  const present = new Set();
+  [game.cheeses, game.powerUps, game.finishLines].forEach(list => list.forEach(entity => {
+    present.add(entity);
+    let mesh = entityMeshes.get(entity);
+    if (!mesh) {
+      const pool = entityPool(entity);
+      if (!pool) return; // Its model is still loading
+      mesh = pool.acquire();
+      entityMeshes.set(entity, mesh);
+    }
+    interpolateMesh(mesh, entity, alpha);
+    if (entity.type === 'powerup') mesh.rotation.y = game.time * 0.003; // Spin so they catch the eye
+  }));
+  entityMeshes.forEach((mesh, entity) => {
+    if (present.has(entity)) return;
+    entityPool(entity).release(mesh);
+    entityMeshes.delete(entity);
+  });
 
-  // Enable shadows for all meshes in the cheese model
-  cheese.traverse((child) => {
-    if (child.isMesh) {
-      child.castShadow = true;
-      child.receiveShadow = true;
+  const hazardsPresent = new Set(game.hazards);
+  hazardMeshes.forEach((meshes, hazard) => {
+    if (hazardsPresent.has(hazard)) return;
+    HAZARD_VIEWS[hazard.type].detach(hazard, meshes, hazardView);
+    hazardMeshes.delete(hazard);
+  });
+  game.hazards.forEach(hazard => {
+    const view = HAZARD_VIEWS[hazard.type];
+    let meshes = hazardMeshes.get(hazard);
+    if (!meshes) {
+      if (!hazardPools[hazard.type]) return; // Its model is still loading
+      meshes = view.attach(hazard, hazardView);
+      hazardMeshes.set(hazard, meshes);
     }
+    view.render(hazard, meshes, alpha, game.time, hazardView);
   });
+}
 
-  scene.add(cheese);
-  cheeses.push(cheese);
+// Hands every mesh back, when a new run replaces the game state
+function releaseMeshes() {
+  entityMeshes.forEach((mesh, entity) => entityPool(entity).release(mesh));
+  entityMeshes.clear();
+  hazardMeshes.forEach((meshes, hazard) => HAZARD_VIEWS[hazard.type].detach(hazard, meshes, hazardView));
+  hazardMeshes.clear();
 }
 
-function spawnObstacle() {
-  if (!gameRunning || !mousetrapModel) return;
+// HUD text for each team: just the value for solo and co-op, "P1 ... · P2 ..." in versus
+function perTeam(describe) {
+  const teams = teamsOf(game.players);
+  if (teams.length === 1) return describe(teams[0]);
+  return teams.map((team, index) => `P${index + 1} ${describe(team)}`).join(' · ');
+}
 
-  // Clone the 3D mousetrap model
-  const obstacle = mousetrapModel.clone();
-  
-  if (isMobile) console.log('Spawning mousetrap obstacle');
+function updateScoreboard() {
+  const currentScoreElement = document.getElementById('current-score');
+  const highScoreElement = document.getElementById('high-score');
+  currentScoreElement.textContent = `Score: ${perTeam(team => team.score)}`;
+  highScoreElement.textContent = `Best: ${highScore}`;
+}
 
-  // Position and scale the mousetrap - spawn on the chopping board
-  obstacle.position.x = (Math.random() - 0.5) * 12; // Wider spawn range to match larger board
-  obstacle.position.y = 1.5; // Raised higher to sit properly on top of the board without phasing
-  obstacle.position.z = -70 + (Math.random() - 0.5) * 10; // Add some Z variation to prevent merging
-  obstacle.scale.setScalar(3.0); // Make mousetrap even bigger for better visibility
+function updateComboDisplay() {
+  const comboElement = document.getElementById('combo');
+  const teams = teamsOf(game.players);
+  if (teams.length === 1) {
+    const combo = teams[0].combo;
+    comboElement.textContent = combo.streak > 1 ? `Combo x${combo.multiplier} · ${combo.streak} in a row` : '';
+  } else {
+    comboElement.textContent = teams.some(team => team.combo.streak > 1)
+      ? `Combo ${perTeam(team => `x${team.combo.multiplier}`)}`
+      : '';
+  }
+}
 
-  // Enable shadows for all meshes in the mousetrap model
-  obstacle.traverse((child) => {
-    if (child.isMesh) {
-      child.castShadow = true;
-      child.receiveShadow = true;
-    }
+// Short message over the board, e.g. for near misses
+function showCallout(text) {
+  const callout = document.getElementById('callout');
+  callout.textContent = text;
+  callout.classList.remove('show');
+  void callout.offsetWidth; // Restart the CSS animation
+  callout.classList.add('show');
+}
+
+// Achievement toasts stack up in the corner and fade out on their own
+function showToast(title, text) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  const body = document.createElement('span');
+  body.textContent = text;
+  toast.append(heading, body);
+  document.getElementById('toasts').appendChild(toast);
+  setTimeout(() => {
+    toast.remove();
+  }, 4000);
+}
+
+function announceAchievements(unlocked) {
+  unlocked.forEach(achievement => {
+    showToast(`Achievement: ${achievement.label}`, achievement.description);
+    audio.play('achievement');
   });
+}
 
-  scene.add(obstacle);
-  obstacles.push(obstacle);
+// Replays don't count towards stats or achievements
+function checkRunAchievements() {
+  if (playback) return;
+  const unlocked = checkAchievements(stats, game.runStats);
+  if (!unlocked.length) return;
+  saveStats(stats);
+  announceAchievements(unlocked);
 }
 
-function spawnKnife() {
-  if (!gameRunning || !knifeModel) return;
+// Screen readers hear the score every SCORE_ANNOUNCE_STEP points rather than every cheese
+const SCORE_ANNOUNCE_STEP = 25;
 
-  // Clone the 3D knife model
-  const knife = knifeModel.clone();
-  
-  if (isMobile) console.log('Spawning knife');
+function teamName(team) {
+  if (teamsOf(game.players).length === 1) return '';
+  return `Player ${game.players.find(player => player.team === team).index + 1}: `;
+}
 
-  // Rotate the knife to lie flat on the board (90 degrees on X-axis)
-  knife.rotation.x = Math.PI / 2;
+function updateLivesDisplay() {
+  const livesElement = document.getElementById('lives');
+  livesElement.textContent = perTeam(({ lives }) => '❤'.repeat(lives.lives) + '♡'.repeat(Math.max(0, lives.config.startingLives - lives.lives)));
+  livesElement.setAttribute('aria-label', perTeam(({ lives }) => `${lives.lives} lives`));
+}
 
-  // Position and scale the knife - spawn on the chopping board
-  knife.position.x = 0; // Center knife on board to ensure it doesn't go off edges
-  knife.position.y = 1.3; // Raised higher to sit properly on top of the board without phasing
-  knife.position.z = -70 + (Math.random() - 0.5) * 8; // Add some Z variation to prevent merging
-  knife.scale.set(8.0, 3.0, 3.0); // Slightly smaller width but taller, uniform Y and Z scaling
+function flashLivesDisplay() {
+  if (reducedMotion) return;
+  const livesElement = document.getElementById('lives');
+  livesElement.classList.add('flash');
+  setTimeout(() => {
+    livesElement.classList.remove('flash');
+  }, 300);
+}
 
-  // Enable shadows for all meshes in the knife model
-  knife.traverse((child) => {
-    if (child.isMesh) {
-      child.castShadow = true;
-      child.receiveShadow = true;
+// Points float up from the mouse that scored them, with the combo multiplier they were
+// scored at once there is one.
+// Eaten cheese leaves crumbs
+const SCORE_NUMBER_COLOURS = { cheese: '#FFEB3B', golden: '#FFC107', nearMiss: '#80DEEA' };
+function showScoreNumber(player, event) {
+  const text = event.multiplier > 1 ? `+${event.points} x${event.multiplier}` : `+${event.points}`;
+  effects.floatingText(text, player.x, player.y + 1.5, 0, SCORE_NUMBER_COLOURS[event.kind]);
+  if (event.kind !== 'nearMiss') effects.crumbs(player.x, player.y + 0.5, -0.5);
+}
+
+// Sounds, HUD updates and callouts for what happened on a tick (see game.js)
+const gameEventHandlers = {
+  sound(event) {
+    playHazardSound(event.name, event.x, event.y, event.z);
+    if (event.name === 'trapSnap') effects.sparks(event.x, event.y + 0.5, event.z);
+  },
+  jump(event) {
+    audio.play('jump');
+    poppyRigs[event.player]?.jump();
+  },
+  land(event) {
+    const player = game.players[event.player];
+    poppyRigs[event.player]?.land(event.speed);
+    effects.dust(player.x, player.y, 0, Math.min(1, event.speed / game.moveConfig.jumpVelocity));
+  },
+  score(event) {
+    const player = game.players[event.player];
+    updateScoreboard();
+    updateComboDisplay();
+    showScoreNumber(player, event);
+    if (event.kind === 'cheese') {
+      if (debug) console.log(`Cheese collected by player ${event.player + 1}! Score:`, event.score);
+      audio.play('collect');
+      chefRig.react('annoyed');
+      popScoreboard();
+    } else if (event.kind === 'nearMiss') {
+      showCallout(game.players.length > 1 ? `P${event.player + 1} near miss! +${event.points}` : `Near miss! +${event.points}`);
+    }
+    if (Math.floor(event.score / SCORE_ANNOUNCE_STEP) > Math.floor((event.score - event.points) / SCORE_ANNOUNCE_STEP)) {
+      announcer.announce(`${teamName(player.team)}Score ${event.score}`);
     }
+  },
+  bonusLife() {
+    updateLivesDisplay();
+    flashLivesDisplay();
+  },
+  powerUp(event) {
+    if (debug) console.log(`Power-up collected by player ${event.player + 1}:`, event.kind);
+    audio.play('collect');
+    updatePowerUpHud();
+  },
+  powerUpsChanged: () => updatePowerUpHud(),
+  comboBroken: () => updateComboDisplay(),
+  shieldHit() {
+    if (debug) console.log('Shield absorbed a hit');
+    updatePowerUpHud();
+    effects.shake(0.4);
+  },
+  hit(event) {
+    const player = game.players[event.player];
+    if (debug) console.log(`Hazard collision detected (${event.cause})! Lives left:`, event.lives);
+    updateLivesDisplay();
+    updateComboDisplay();
+    announcer.announce(`${teamName(player.team)}Ouch! ${event.lives} ${event.lives === 1 ? 'life' : 'lives'} left`);
+    if (!player.out) flashLivesDisplay();
+    effects.shake(1);
+  },
+  out(event) {
+    // She falls off whichever edge of the board is nearer
+    const side = game.players[event.player].x >= 0 ? 1 : -1;
+    poppyRigs[event.player]?.die(event.cause, side, { reducedMotion });
+    if (!game.over) showCallout(`Player ${event.player + 1} is out!`);
+  }
+};
+
+function handleGameEvents(events) {
+  events.forEach(event => {
+    const handler = gameEventHandlers[event.type];
+    if (handler) handler(event);
   });
+}
 
-  scene.add(knife);
-  knives.push(knife);
+// The best score is the top of the local leaderboard
+function loadHighScore() {
+  leaderboard = loadLeaderboard();
+  highScore = topScore(leaderboard);
+  updateScoreboard();
 }
 
-function updateScoreboard() {
-  const currentScoreElement = document.getElementById('current-score');
-  const highScoreElement = document.getElementById('high-score');
-  currentScoreElement.textContent = `Score: ${score}`;
-  highScoreElement.textContent = `Best: ${highScore}`;
+function renderLeaderboard(highlightRank = -1) {
+  const body = document.querySelector('#leaderboard tbody');
+  body.replaceChildren(...leaderboard.map((entry, index) => {
+    const row = document.createElement('tr');
+    if (index === highlightRank) row.className = 'highlight';
+    [
+      index + 1,
+      entry.assist ? `${entry.name} (assist)` : entry.name,
+      entry.score,
+      formatDuration(entry.duration),
+      CAUSE_LABELS[entry.cause] ?? CAUSE_LABELS.unknown,
+      entry.date ? new Date(entry.date).toLocaleDateString() : '-'
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }));
+  document.getElementById('leaderboard').style.display = leaderboard.length ? 'table' : 'none';
 }
 
-function loadHighScore() {
-  const saved = localStorage.getItem('poppyHighScore');
-  highScore = saved ? parseInt(saved) : 0;
-  updateScoreboard();
+// Run that is waiting for a name before going on the leaderboard
+let pendingEntry = null;
+
+// One line per player on the results screen of a two-player game
+function renderPlayerResults() {
+  const list = document.getElementById('player-results');
+  const { players } = game;
+  list.replaceChildren(...(players.length > 1 ? players : []).map(player => {
+    const item = document.createElement('li');
+    const status = player.out ? `out: ${CAUSE_LABELS[player.cause] ?? CAUSE_LABELS.unknown}` : 'still running';
+    item.textContent = `Player ${player.index + 1}: ${player.team.score} (best streak ${player.team.combo.bestStreak}, ${status})`;
+    return item;
+  }));
+  list.style.display = players.length > 1 ? 'block' : 'none';
 }
 
-function saveHighScore() {
-  localStorage.setItem('poppyHighScore', highScore.toString());
+function resultsTitle(cause) {
+  if (cause === 'level-complete') return 'Level Complete!';
+  if (game.mode !== 'versus' || cause === 'replay-ended') return 'Game Over!';
+  const winner = winningTeam(game.players);
+  if (!winner) return 'Draw!';
+  return `Player ${game.players.find(player => player.team === winner).index + 1} Wins!`;
 }
 
-function gameOver() {
+// cause: 'mousetrap' or 'knife' when Poppy runs out of lives,
+// 'level-complete' at a level's finish line, 'replay-ended' when a replay runs out of input
+function gameOver(cause) {
   gameRunning = false;
-  clearInterval(cheeseInterval);
-  clearInterval(obstacleInterval);
-  clearInterval(knifeInterval);
+  input2.setEnabled(false);
   
   // DON'T stop the animation loop - keep it running for Photo Mode
-  // Animation loop continues, but game logic stops due to gameRunning = false
+  // Rendering continues, but the simulation stops due to gameRunning = false
   
-  // Enable Photo Mode (OrbitControls)
-  controls.enabled = true;
+  if (debug) console.table(getPoolStats());
   
-  // Update high score if needed
-  if (score > highScore) {
-    highScore = score;
-    saveHighScore();
+  // Keep the run's inputs so it can be saved as a replay
+  // Two-player replays score the best team, so the summary still has one number
+  const score = bestTeamScore(game);
+
+  // Add the run to the lifetime stats
+  if (!playback) {
+    announceAchievements(recordRun(stats, game.runStats, score));
+    saveStats(stats);
+  }
+  lastReplay = playback ? playback.replay : recorder.finish({
+    score,
+    level: currentLevel ? currentLevel.id : null,
+    mode: game.mode,
+    assist: game.assist ?? undefined,
+    lives: { startingLives: game.livesConfig.startingLives, maxLives: game.livesConfig.maxLives },
+    moves: { doubleJump: game.moveConfig.doubleJump }
+  });
+  
+  // Only live, single-player endless runs can make the leaderboard
+  const nameEntry = document.getElementById('name-entry');
+  pendingEntry = null;
+  if (!playback && !currentLevel && game.mode === 'solo' && qualifies(leaderboard, score)) {
+    pendingEntry = {
+      score,
+      date: new Date().toISOString(),
+      duration: Math.round(game.time),
+      cause,
+      assist: Boolean(game.assist)
+    };
+    document.getElementById('player-name').value = loadPlayerName();
+  }
+  nameEntry.style.display = pendingEntry ? 'flex' : 'none';
+  renderLeaderboard();
+
+  // The chef gloats over a lost run and sulks when a level is cleared
+  if (cause === 'level-complete') chefRig.react('sulk');
+  else if (cause !== 'replay-ended') chefRig.react('celebrate');
+
+  // The results wait for any death sequence to finish (see render)
+  audio.stopLoops();
+  pendingResults = { cause, score };
+}
+
+// Results of the run that just ended, shown once no mouse is still dying
+let pendingResults = null;
+
+function showResults() {
+  const { cause, score } = pendingResults;
+  pendingResults = null;
+
+  // The music stopped for a sting: a fanfare for a new best score or a cleared level
+  if (cause === 'level-complete' || (pendingEntry && score > highScore)) {
+    audio.play('highScore');
+  } else if (cause !== 'replay-ended') {
+    audio.play('gameOver');
   }
   
   // Update game over screen
@@ -404,121 +1056,136 @@ function gameOver() {
   const highScoreDisplayElement = document.getElementById('high-score-display');
   const winScreen = document.getElementById('win-screen');
   
-  finalScoreElement.textContent = `Final Score: ${score}`;
-  highScoreDisplayElement.textContent = `High Score: ${highScore}`;
+  document.getElementById('win-title').textContent = resultsTitle(cause);
+  const { combo } = game.players[0].team;
+  finalScoreElement.textContent = game.mode === 'versus'
+    ? `Final Scores: ${perTeam(team => team.score)}`
+    : `Final Score: ${score} (best streak ${combo.bestStreak})`;
+  renderPlayerResults();
+  announcer.announce(`${document.getElementById('win-title').textContent} ${finalScoreElement.textContent}`);
+  highScoreDisplayElement.textContent = `High Score: ${Math.max(highScore, pendingEntry ? score : 0)}`;
   winScreen.style.display = 'flex';
 }
 
-function checkCollision(obj1, obj2) {
-  if (!obj1 || !obj2) {
-    if (isMobile) console.log('Collision check: null object detected', obj1 ? 'obj1 exists' : 'obj1 is null', obj2 ? 'obj2 exists' : 'obj2 is null');
-    return false;
+function submitLeaderboardEntry(name) {
+  if (!pendingEntry) return;
+  savePlayerName(name);
+  const result = addEntry(leaderboard, { ...pendingEntry, name });
+  leaderboard = result.entries;
+  highScore = topScore(leaderboard);
+  pendingEntry = null;
+  document.getElementById('name-entry').style.display = 'none';
+  renderLeaderboard(result.rank);
+  updateScoreboard();
+}
+
+function pauseGame() {
+  if (!gameRunning || paused) return;
+  paused = true;
+
+  // Key releases can be missed while paused (e.g. on blur), so start clean on resume
+  inputs.forEach(source => source.releaseAll());
+  gestures.reset();
+  audio.pauseLoops();
+
+  document.getElementById('pause-screen').style.display = 'flex';
+}
+
+function resumeGame() {
+  if (!paused) return;
+  paused = false;
+
+  // The Resume button keeps focus after a click, and keys on a focused button aren't game input
+  document.activeElement?.blur();
+
+  // Don't let the loop catch up on the time spent paused. Game speed may have changed in the settings
+  gameLoop.resetClock();
+  gameLoop.setTimeScale(playback ? 1 : accessibility.gameSpeed);
+  audio.startLoops();
+
+  document.getElementById('pause-screen').style.display = 'none';
+}
+
+function togglePause() {
+  if (paused) {
+    resumeGame();
+  } else {
+    pauseGame();
   }
-  
-  // Primary method: Distance-based collision (more reliable on mobile)
-  const distance = obj1.position.distanceTo(obj2.position);
-  const collisionThreshold = 1.5; // Adjust this value for sensitivity
-  
-  if (distance < collisionThreshold) {
-    if (isMobile) console.log('Distance collision detected! Distance:', distance.toFixed(2));
-    return true;
+}
+
+// Photo mode works mid-run (the game stays paused underneath) or from the game over screen
+function enterPhotoMode() {
+  const winScreen = document.getElementById('win-screen');
+  if (photoMode.active) return;
+  if (gameRunning) {
+    pauseGame();
+    document.getElementById('pause-screen').style.display = 'none';
+  } else if (winScreen.style.display === 'flex') {
+    winScreen.style.display = 'none';
+  } else {
+    return; // Nothing to photograph from the start screen
   }
-  
-  // Fallback method: Box3 collision (for desktop/when models load properly)
-  try {
-    const box1 = new THREE.Box3().setFromObject(obj1);
-    const box2 = new THREE.Box3().setFromObject(obj2);
-    
-    // Check if boxes are valid
-    if (box1.isEmpty() || box2.isEmpty()) {
-      if (isMobile) console.log('Using distance-only collision (empty bounding boxes)');
-      return false; // Already checked distance above
-    }
-    
-    const boxCollision = box1.intersectsBox(box2);
-    if (boxCollision && isMobile) console.log('Box collision detected!');
-    return boxCollision;
-    
-  } catch (error) {
-    if (isMobile) console.log('Box collision failed, using distance-only result:', distance < collisionThreshold);
-    return false; // Already checked distance above
+  const [focus] = game.players;
+  photoMode.enter(new THREE.Vector3(focus.x, focus.y, 0));
+}
+
+// Back to whichever screen photo mode was opened from
+function exitPhotoMode() {
+  if (!photoMode.active) return;
+  photoMode.exit();
+  if (gameRunning) {
+    document.getElementById('pause-screen').style.display = 'flex';
+  } else {
+    document.getElementById('win-screen').style.display = 'flex';
   }
 }
 
 // 7. Event Listeners
-window.addEventListener('keydown', (event) => {
-  if (event.key.toLowerCase() === 'a') keys.a = true;
-  if (event.key.toLowerCase() === 'd') keys.d = true;
-  if (event.key === ' ' && !isJumping) {
-    velocityY = 0.4;
-    isJumping = true;
+input.attachKeyboard();
+input2.attachKeyboard();
+input.onAction((action) => {
+  if (action === 'pause' && photoMode.active) exitPhotoMode();
+  else if (action === 'pause' && !settingsScreen.isOpen()) togglePause();
+  if (action === 'photo' && !settingsScreen.isOpen()) {
+    if (photoMode.active) exitPhotoMode(); else enterPhotoMode();
   }
+  if (action === 'mute') showCallout(audio.toggleMute() ? 'Sound off' : 'Sound on');
 });
 
-window.addEventListener('keyup', (event) => {
-  if (event.key.toLowerCase() === 'a') keys.a = false;
-  if (event.key.toLowerCase() === 'd') keys.d = false;
-});
+// Touch Controls - also respond to the mouse for testing on desktop
+input.attachButton(document.getElementById('left-control'), 'left');
+input.attachButton(document.getElementById('right-control'), 'right');
+input.attachButton(document.getElementById('jump-control'), 'jump');
+input.attachButton(document.getElementById('slide-control'), 'slide');
 
-// Touch Controls Event Listeners
-const leftControl = document.getElementById('left-control');
-const rightControl = document.getElementById('right-control');
-const jumpControl = document.getElementById('jump-control');
+// Drag/swipe and tilt steering, if picked in the Controls screen
+const gestures = createGestureControls(input, { isActive: () => gameRunning && !paused });
+const settingsScreen = setupControlsScreen({ input, input2, gestures, audio, quality, accessibility });
+setupStatsScreen({ getStats: () => stats });
 
-// Left control (move left)
-leftControl.addEventListener('touchstart', (event) => {
-  event.preventDefault();
-  keys.a = true;
+window.addEventListener('gamepadconnected', (event) => {
+  if (debug) console.log('Gamepad connected:', event.gamepad.id);
 });
-
-leftControl.addEventListener('touchend', (event) => {
-  event.preventDefault();
-  keys.a = false;
+window.addEventListener('gamepaddisconnected', (event) => {
+  if (debug) console.log('Gamepad disconnected:', event.gamepad.id);
+  inputs.forEach(source => source.releaseAll());
 });
 
-// Right control (move right)
-rightControl.addEventListener('touchstart', (event) => {
-  event.preventDefault();
-  keys.d = true;
+// Pause automatically when the player switches away
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseGame();
 });
+window.addEventListener('blur', pauseGame);
 
-rightControl.addEventListener('touchend', (event) => {
-  event.preventDefault();
-  keys.d = false;
-});
+// Pause button and overlay
+input.attachButton(document.getElementById('pause-control'), 'pause');
+document.getElementById('resume-button').addEventListener('click', resumeGame);
 
-// Jump control
-jumpControl.addEventListener('touchstart', (event) => {
-  event.preventDefault();
-  if (!isJumping) {
-    velocityY = 0.4;
-    isJumping = true;
-  }
-});
-
-// Prevent default touch behavior on all controls
-[leftControl, rightControl, jumpControl].forEach(control => {
-  control.addEventListener('touchmove', (event) => {
-    event.preventDefault();
-  });
-  
-  // Also add mouse events for testing on desktop
-  control.addEventListener('mousedown', (event) => {
-    event.preventDefault();
-    if (control === leftControl) keys.a = true;
-    if (control === rightControl) keys.d = true;
-    if (control === jumpControl && !isJumping) {
-      velocityY = 0.4;
-      isJumping = true;
-    }
-  });
-  
-  control.addEventListener('mouseup', (event) => {
-    event.preventDefault();
-    if (control === leftControl) keys.a = false;
-    if (control === rightControl) keys.d = false;
-  });
-});
+// Photo mode buttons on the pause and game over screens, and in its own panel
+document.getElementById('pause-photo-button').addEventListener('click', enterPhotoMode);
+document.getElementById('win-photo-button').addEventListener('click', enterPhotoMode);
+document.getElementById('photo-exit').addEventListener('click', exitPhotoMode);
 
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
@@ -527,150 +1194,207 @@ window.addEventListener('resize', () => {
   composer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// 8. Main Animation Loop
-let cheeseInterval;
-let obstacleInterval;
-let knifeInterval;
-let animationId;
-
-function animate() {
-  animationId = requestAnimationFrame(animate);
-
-  // Debug logging for mobile (every 60 frames = ~1 second)
-  if (isMobile) {
-    frameCount++;
-    if (frameCount % 60 === 0) {
-      console.log('Game running:', gameRunning, '- Poppy loaded:', poppy ? 'YES' : 'NO', '- Frame:', frameCount);
-      if (poppy) {
-        console.log('Poppy position:', poppy.position.x.toFixed(2), poppy.position.y.toFixed(2), poppy.position.z.toFixed(2));
-      }
+// 8. Simulation Update and Rendering
+// update() advances the game by exactly one tick; render() draws the latest state,
+// interpolated between the previous and current tick so motion stays smooth on any refresh rate
+
+function readLiveInput(source) {
+  let buttons = 0;
+  if (source.isHeld('left')) buttons |= INPUT_LEFT;
+  if (source.isHeld('right')) buttons |= INPUT_RIGHT;
+  if (source.consumePressed('jump')) buttons |= INPUT_JUMP;
+  if (source.isHeld('jump')) buttons |= INPUT_JUMP_HELD;
+  if (source.isHeld('slide')) buttons |= INPUT_SLIDE;
+  buttons |= encodeSteer(source.analogSteer());
+  return buttons;
+}
+
+function popScoreboard() {
+  if (reducedMotion) return;
+  const scoreboardElement = document.getElementById('scoreboard');
+  scoreboardElement.classList.add('pop');
+  setTimeout(() => {
+    scoreboardElement.classList.remove('pop');
+  }, 200);
+}
+
+function update() {
+  // Debug logging (every 60 ticks = 1 second)
+  if (debug) {
+    tickCount++;
+    if (tickCount % 60 === 0) {
+      console.log('Game running:', gameRunning, '- Poppy loaded:', poppies.length ? 'YES' : 'NO', '- Tick:', tickCount);
+      game.players.forEach(player => console.log(`Player ${player.index + 1} position:`, player.x.toFixed(2), player.y.toFixed(2)));
+      console.log('Difficulty:', game.director.level.toFixed(2), '- Wave:', game.director.wave ? game.director.wave.type : 'none');
+      console.log('Pools:', getPoolStats().map(stats => `${stats.name} ${stats.inUse}/${stats.created}`).join(', '));
     }
   }
 
   // Game logic only runs when game is active
-  if (gameRunning) {
-    // Player Movement (only if poppy is loaded)
-    if (poppy) {
-      if (keys.a && poppy.position.x > -8) { // Adjusted boundaries for larger board
-        poppy.position.x -= moveSpeed;
-      }
-      if (keys.d && poppy.position.x < 8) { // Adjusted boundaries for larger board
-        poppy.position.x += moveSpeed;
-      }
-
-      // Jump physics
-      if (isJumping) {
-        velocityY -= gravity; // Apply gravity
-      }
-      
-      // Update vertical position
-      poppy.position.y += velocityY;
-      
-      // Ground check
-      if (poppy.position.y <= playerBaseY) {
-        poppy.position.y = playerBaseY;
-        velocityY = 0;
-        isJumping = false;
-      }
+  if (!gameRunning || paused) {
+    inputs.forEach(source => source.clearPressed());
+    return;
+  }
 
-      // Player Tilt Animation
-      let targetRotation = 0;
-      if (keys.a) {
-        targetRotation = 0.2; // Tilt left
-      } else if (keys.d) {
-        targetRotation = -0.2; // Tilt right
-      }
-      
-      // Smooth rotation using lerp
-      poppy.rotation.z = THREE.MathUtils.lerp(poppy.rotation.z, targetRotation, 0.1);
+  // This tick's input comes either from the live controls or from the replay being watched.
+  // Two-player games record both players' buttons packed into one number
+  let buttons;
+  if (playback) {
+    if (playback.isFinished(game.tick)) {
+      gameOver('replay-ended');
+      return;
     }
+    buttons = playback.inputAt(game.tick);
+  } else {
+    buttons = packInputs(game.players.map(player => readLiveInput(inputs[player.index])));
+    recorder.record(game.tick, buttons);
+  }
+  inputs.forEach(source => source.clearPressed()); // Presses that weren't used this tick (e.g. while watching a replay) are dropped
 
-    // Move and Check Cheese
-    for (let i = cheeses.length - 1; i >= 0; i--) {
-      const cheese = cheeses[i];
-      cheese.position.z += gameSpeed * 4;
-
-      if (cheese.position.z > 30) { // Let objects travel much further before removal
-        scene.remove(cheese);
-        cheeses.splice(i, 1);
-        continue;
-      }
-
-      if (poppy && checkCollision(poppy, cheese)) {
-        if (isMobile) {
-          console.log('Cheese collision detected! Score:', score + 1);
-          console.log('Poppy position:', poppy.position.x.toFixed(2), poppy.position.y.toFixed(2), poppy.position.z.toFixed(2));
-          console.log('Cheese position:', cheese.position.x.toFixed(2), cheese.position.y.toFixed(2), cheese.position.z.toFixed(2));
-        }
-        
-        if (collectSound.buffer && !collectSound.isPlaying) {
-          collectSound.play();
-        }
+  step(game, buttons);
+  handleGameEvents(game.events);
+  checkRunAchievements();
+  if (game.over) gameOver(game.over);
+}
 
-        score++;
-        updateScoreboard();
-        
-        // Add pop animation to scoreboard
-        const scoreboardElement = document.getElementById('scoreboard');
-        scoreboardElement.classList.add('pop');
-        setTimeout(() => {
-          scoreboardElement.classList.remove('pop');
-        }, 200);
-        
-        scene.remove(cheese);
-        cheeses.splice(i, 1);
-      }
-    }
+// Every player's active power-ups, labelled P1/P2 in two-player games
+function activePlayerPowerUps() {
+  const { players } = game;
+  return players.flatMap(player => activePowerUps(player.powerUps, game.time).map(powerUp => ({
+    ...powerUp,
+    key: `${player.index}-${powerUp.type}`,
+    label: players.length > 1 ? `P${player.index + 1} ${powerUp.label}` : powerUp.label
+  })));
+}
 
-    // Move and Check Obstacles
-    for (let i = obstacles.length - 1; i >= 0; i--) {
-      const obstacle = obstacles[i];
-      obstacle.position.z += gameSpeed * 4;
+// Rebuilds the list of active power-ups when effects start or end
+function updatePowerUpHud() {
+  const hud = document.getElementById('powerup-hud');
+  hud.replaceChildren(...activePlayerPowerUps().map(powerUp => {
+    const item = document.createElement('div');
+    item.className = 'powerup-item';
+    item.dataset.type = powerUp.type;
+    item.dataset.key = powerUp.key;
+    item.innerHTML = `<span class="powerup-icon"></span><span class="powerup-label"></span><span class="powerup-timer"><span class="powerup-timer-fill"></span></span>`;
+    item.querySelector('.powerup-icon').textContent = powerUp.icon;
+    item.querySelector('.powerup-label').textContent = powerUp.label;
+    return item;
+  }));
+  refreshPowerUpTimers();
+}
 
-      if (obstacle.position.z > 30) { // Let objects travel much further before removal
-        scene.remove(obstacle);
-        obstacles.splice(i, 1);
-        continue;
-      }
+// Cheap per-frame update of the remaining-time bars and seconds
+function refreshPowerUpTimers() {
+  const hud = document.getElementById('powerup-hud');
+  activePlayerPowerUps().forEach(powerUp => {
+    const item = hud.querySelector(`[data-key="${powerUp.key}"]`);
+    if (!item) return;
+    item.querySelector('.powerup-timer-fill').style.width = `${powerUp.fraction * 100}%`;
+    item.querySelector('.powerup-label').textContent = `${powerUp.label} ${Math.ceil(powerUp.remaining / 1000)}s`;
+  });
+}
 
-      // Check collision between player and obstacle (mousetrap)
-      if (poppy && checkCollision(poppy, obstacle)) {
-        if (isMobile) console.log('Mousetrap collision detected! Game Over');
-        gameOver();
-        return;
-      }
+function render(alpha) {
+  // Gamepads have no events for buttons and sticks, so poll them once per frame
+  inputs.forEach(source => source.pollGamepads());
+
+  // A stopped simulation has no next tick to blend towards - show the latest state
+  if (!gameRunning || paused) alpha = 1;
+
+  const now = performance.now();
+  const { players } = game;
+  poppies.forEach((mouse, index) => {
+    const player = players[index];
+    const rig = poppyRigs[index];
+    if (!player) {
+      mouse.visible = false;
+      return;
     }
-
-    // Move and Check Knives
-    for (let i = knives.length - 1; i >= 0; i--) {
-      const knife = knives[i];
-      knife.position.z += gameSpeed * 4;
-
-      if (knife.position.z > 30) { // Let objects travel much further before removal
-        scene.remove(knife);
-        knives.splice(i, 1);
-        continue;
-      }
-
-      // Check collision between player and knife
-      if (poppy && checkCollision(poppy, knife)) {
-        if (isMobile) console.log('Knife collision detected! Game Over');
-        gameOver();
-        return;
-      }
+    rig.update({
+      x: THREE.MathUtils.lerp(player.prevX, player.x, alpha),
+      y: THREE.MathUtils.lerp(player.prevY, player.y, alpha),
+      steer: player.steer,
+      velocityY: player.velocityY,
+      airborne: player.isJumping,
+      sliding: player.moves.sliding,
+      running: gameRunning
+    }, now, { reducedMotion, paused });
+
+    // A player who is out mid-game disappears once her death has played out.
+    // Otherwise blink while invulnerable
+    if (player.out) {
+      mouse.visible = rig.dying || !gameRunning;
+    } else {
+      mouse.visible = !gameRunning || !isInvulnerable(player.team.lives, game.time) || Math.floor(game.time / 100) % 2 === 0;
     }
-  }
+  });
+  if (pendingResults && !poppyRigs.some(rig => rig.dying)) showResults();
+  renderEntities(alpha);
+
+  // Shield bubbles follow their mouse
+  shieldBubbles.forEach((bubble, index) => {
+    const player = players[index];
+    bubble.visible = gameRunning && Boolean(player) && !player.out && isActive(player.powerUps, 'shield', game.time);
+    if (!bubble.visible) return;
+    const mouse = poppies[index];
+    bubble.position.set(mouse ? mouse.position.x : player.x, (mouse ? mouse.position.y : player.y) + 0.5, 0);
+  });
+  if (gameRunning) refreshPowerUpTimers();
+
+  // Chef's acting and attack telegraphs (nothing is in the air once the game stops)
+  const target = chefTarget(livingPlayers(players).length ? livingPlayers(players) : players, game.time);
+  chefRig.update(gameRunning ? game.chef.activeAttacks(game.time) : [], game.chef.lastReleased, game.time, target.x);
+
+  // Effects follow the difficulty; particle sizes are in world units, turned into pixels here
+  effects.update(now, {
+    paused,
+    intensity: game.director.level,
+    running: gameRunning,
+    pointScale: renderer.domElement.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)))
+  });
 
-  // Always update controls and render, regardless of game state
+  // Always update controls and render, regardless of game state.
+  // Camera shake only lasts for the render, so it never drifts the camera
   controls.update();
+  photoMode.update();
+  if (!photoMode.active) effects.beginShake(camera);
   composer.render();
+  effects.endShake(camera);
+
+  quality.frame(now);
+  updateFpsCounter(now);
 }
 
+const gameLoop = createFixedLoop({ update, render });
+
 // 9. Game Start Function
-function startGame() {
-  // Reset game state
-  score = 0;
+// Plays currentLevel, or an endless run when it is null.
+// Pass a validated replay to watch it instead of starting a live run
+function startGame(replay = null) {
+  // Don't lose a top 10 run just because the name wasn't confirmed
+  if (pendingEntry) submitLeaderboardEntry(document.getElementById('player-name').value);
+
+  // Start and Play Again keep focus after a click, and keys on a focused button aren't game input
+  document.activeElement?.blur();
+
+  // A fresh run. A replay brings its own seed, play mode, and the assist options, lives
+  // and double jump setting it was recorded with, whatever this page's URL says; live
+  // runs get a fresh seed
+  releaseMeshes();
+  game = createGame({
+    seed: replay ? replay.seed : randomSeed(),
+    mode: replay ? (replay.mode ?? 'solo') : playersSelect.value,
+    level: currentLevel,
+    assist: replay ? (replay.assist ?? null) : simAssist(accessibility.settings),
+    moveConfig: replay ? { ...MOVE_CONFIG, ...replay.moves } : moveConfig,
+    livesConfig: replay ? { ...LIVES_CONFIG, ...replay.lives } : livesConfig
+  });
+  recorder = createRecorder(game.seed);
+  playback = replay ? createPlayback(replay) : null;
+  lastReplay = null;
   gameRunning = true;
+  paused = false;
+  document.getElementById('pause-screen').style.display = 'none';
   loadHighScore();
   updateScoreboard();
   
@@ -678,41 +1402,146 @@ function startGame() {
   camera.position.set(0, 11, 15);
   camera.lookAt(0, 5, -20); // Look more horizontally towards the game area
   
-  // Disable Photo Mode (OrbitControls) during gameplay
-  controls.enabled = false;
-  
-  // Clear any existing objects
-  cheeses.forEach(cheese => scene.remove(cheese));
-  obstacles.forEach(obstacle => scene.remove(obstacle));
-  knives.forEach(knife => scene.remove(knife));
-  cheeses.length = 0;
-  obstacles.length = 0;
-  knives.length = 0;
+  // Leave photo mode if a new run starts from it
+  photoMode.exit();
+
+  // Reset the mice. With two players, each gets one gamepad and player 1's keys
+  // leave out whatever player 2 is bound to
+  const twoPlayer = game.players.length > 1;
+  input.setBlockedKeys(twoPlayer ? boundKeys(input2.bindings) : []);
+  input.setGamepadIndex(twoPlayer ? 0 : null);
+  input2.setGamepadIndex(twoPlayer ? 1 : null);
+  input2.setEnabled(twoPlayer);
+  inputs.forEach(source => source.clearPressed());
+  poppies.forEach((mouse, index) => {
+    poppyRigs[index].reset();
+    mouse.visible = index < game.players.length;
+  });
+  pendingResults = null;
+  effects.reset();
+
+  // Fresh lives, power-ups and combos
+  updateLivesDisplay();
+  updatePowerUpHud();
+  updateComboDisplay();
   
-  // Start spawning with better separation - 1.56x faster spawn rate (1.3 * 1.2)
-  cheeseInterval = setInterval(spawnCheese, 1790); // 2150 / 1.2 = 1792 (rounded to 1790)
-  obstacleInterval = setInterval(spawnObstacle, 3525); // 4230 / 1.2 = 3525
-  knifeInterval = setInterval(spawnKnife, 5765); // 6920 / 1.2 = 5767 (rounded to 5765)
+  // Replays play at full speed
+  gameLoop.setTimeScale(replay ? 1 : accessibility.gameSpeed);
+  document.getElementById('replay-indicator').style.display = replay ? 'block' : 'none';
+  audio.startLoops();
+  chefRig.react('idle');
+}
+
+// Loads a level by its id from the level list, or returns null for endless mode
+async function selectLevel(id) {
+  if (!id) return null;
+  const entry = levelList.find(level => level.id === id);
+  if (!entry) throw new Error(`Unknown level "${id}"`);
+  const level = await loadLevel(entry.file);
+  return { ...level, id: entry.id };
 }
 
 // 10. Start Screen Logic
-const startButton = document.getElementById('start-button');
 const restartButton = document.getElementById('restart-button');
 
-startButton.addEventListener('click', () => {
+const levelSelect = document.getElementById('level-select');
+
+// One player, or two on the same keyboard or a pair of gamepads
+const playersSelect = document.getElementById('players-select');
+Object.entries(PLAY_MODES).forEach(([mode, { label }]) => {
+  const option = document.createElement('option');
+  option.value = mode;
+  option.textContent = label;
+  playersSelect.appendChild(option);
+});
+
+startButton.addEventListener('click', async () => {
+  try {
+    currentLevel = await selectLevel(levelSelect.value);
+  } catch (error) {
+    console.error('Error loading level:', error);
+    startStatus.textContent = error.message;
+    return;
+  }
   const startScreen = document.getElementById('start-screen');
   startScreen.style.display = 'none';
   startGame();
 });
 
+// Fill the mode picker with the authored levels
+loadLevelIndex().then((levels) => {
+  levelList = levels;
+  levels.forEach(level => {
+    const option = document.createElement('option');
+    option.value = level.id;
+    option.textContent = `Level: ${level.name}`;
+    levelSelect.appendChild(option);
+  });
+}).catch((error) => {
+  console.error('Error loading level list:', error);
+});
+
 restartButton.addEventListener('click', () => {
   const winScreen = document.getElementById('win-screen');
   winScreen.style.display = 'none';
   startGame();
 });
 
+// Leaderboard name entry
+document.getElementById('name-entry').addEventListener('submit', (event) => {
+  event.preventDefault();
+  submitLeaderboardEntry(document.getElementById('player-name').value);
+});
+
+// Replay buttons
+const watchReplayButton = document.getElementById('watch-replay-button');
+const saveReplayButton = document.getElementById('save-replay-button');
+const replayFileInput = document.getElementById('replay-file');
+const startStatus = document.getElementById('start-status');
+
+watchReplayButton.addEventListener('click', () => {
+  if (!lastReplay) return;
+  document.getElementById('win-screen').style.display = 'none';
+  startGame(lastReplay);
+});
+
+saveReplayButton.addEventListener('click', () => {
+  if (lastReplay) downloadReplay(lastReplay);
+});
+
+loadReplayButton.addEventListener('click', () => {
+  replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', async () => {
+  const file = replayFileInput.files[0];
+  replayFileInput.value = ''; // Allow loading the same file twice
+  if (!file) return;
+
+  try {
+    const replay = await readReplayFile(file);
+    currentLevel = await selectLevel(replay.level);
+    startStatus.textContent = '';
+    document.getElementById('start-screen').style.display = 'none';
+    document.getElementById('win-screen').style.display = 'none';
+    startGame(replay);
+  } catch (error) {
+    console.error('Error loading replay:', error);
+    startStatus.textContent = `Couldn't load replay: ${error.message}`;
+  }
+});
+
 // Load high score on page load
 loadHighScore();
 
-// Start the main animation loop
-animate();
\ No newline at end of file
+// Starting waits for the required assets (or their stand-ins)
+assets.ready().then((failures) => {
+  startButton.disabled = false;
+  loadReplayButton.disabled = false;
+  startButton.textContent = 'Click to Start';
+  document.getElementById('loading').style.display = 'none';
+  if (failures.length) console.warn(`${failures.length} asset(s) failed to load, using fallbacks`);
+});
+
+// Start the main loop
+gameLoop.start();
\ No newline at end of file
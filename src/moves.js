@@ -0,0 +1,97 @@
+// Poppy's move set.
+// Jumps are tuned for feel: holding jump goes higher (letting go early cuts the
+// rise short), a press just before landing still jumps on touchdown (buffering),
+// a press just after leaving the ground still counts (coyote time), and there is
+// an optional second jump in mid-air. Holding slide on the ground ducks Poppy
+// under raised knives; in the air it pulls her down faster.
+// Runs on simulation ticks from recorded input, so replays stay exact.
+
+import { INPUT_JUMP, INPUT_JUMP_HELD, INPUT_SLIDE } from './replay.js';
+
+export const MOVE_CONFIG = {
+  gravity: 0.015, // Per tick
+  fastFallGravity: 0.035, // While holding slide in the air
+  jumpVelocity: 0.4,
+  jumpCutFactor: 0.45, // Share of the upward speed kept when jump is let go early
+  doubleJump: true,
+  doubleJumpVelocity: 0.32,
+  jumpBufferMs: 120, // How early a press before landing still counts
+  coyoteMs: 100 // How late a press after leaving the ground still counts as a ground jump
+};
+
+// ?doubleJump=0 in the URL turns the second jump off
+export function moveConfigFromUrl(search, config = MOVE_CONFIG) {
+  const doubleJump = new URLSearchParams(search).get('doubleJump');
+  if (doubleJump === null) return config;
+  return { ...config, doubleJump: doubleJump !== '0' && doubleJump !== 'false' };
+}
+
+export function createMoves() {
+  return {
+    jumpPressedAt: -Infinity,
+    groundedAt: 0, // Last tick Poppy was on the ground
+    jumpedSinceGrounded: false,
+    airJumpUsed: false,
+    rising: false, // In a jump that letting go of the button can still cut short
+    sliding: false
+  };
+}
+
+// Advances Poppy's jump and slide for one tick. player is the simulated player
+// ({ y, velocityY, isJumping }), baseY the height of the board under her, and ticks
+// how many ticks of movement the step covers.
+// Returns 'jump' or 'doubleJump' when she took off this tick, otherwise null.
+export function stepMoves(player, state, buttons, simTime, baseY, config = MOVE_CONFIG, ticks = 1) {
+  const jumpPressed = (buttons & INPUT_JUMP) !== 0;
+  const jumpHeld = (buttons & INPUT_JUMP_HELD) !== 0;
+  const slideHeld = (buttons & INPUT_SLIDE) !== 0;
+  if (jumpPressed) state.jumpPressedAt = simTime;
+
+  let jumped = null;
+  if (simTime - state.jumpPressedAt <= config.jumpBufferMs) {
+    const onGround = !player.isJumping ||
+      (!state.jumpedSinceGrounded && simTime - state.groundedAt <= config.coyoteMs);
+    if (onGround) {
+      player.velocityY = config.jumpVelocity;
+      jumped = 'jump';
+    } else if (config.doubleJump && jumpPressed && !state.airJumpUsed) {
+      // Only a fresh press - a buffered one is saved for the landing
+      player.velocityY = config.doubleJumpVelocity;
+      state.airJumpUsed = true;
+      jumped = 'doubleJump';
+    }
+  }
+  if (jumped) {
+    player.isJumping = true;
+    state.jumpPressedAt = -Infinity;
+    state.jumpedSinceGrounded = true;
+    state.rising = true;
+  }
+
+  // Letting go early trades the rest of the rise for a quicker landing
+  if (state.rising && (player.velocityY <= 0 || !jumpHeld)) {
+    if (player.velocityY > 0) player.velocityY *= config.jumpCutFactor;
+    state.rising = false;
+  }
+
+  if (player.isJumping) {
+    player.velocityY -= (slideHeld ? config.fastFallGravity : config.gravity) * ticks;
+  }
+  player.y += player.velocityY * ticks;
+
+  // Ground check
+  if (player.y <= baseY) {
+    player.y = baseY;
+    player.velocityY = 0;
+    player.isJumping = false;
+  }
+  if (!player.isJumping) {
+    state.groundedAt = simTime;
+    state.jumpedSinceGrounded = false;
+    state.airJumpUsed = false;
+    state.rising = false;
+  }
+
+  state.sliding = slideHeld && !player.isJumping;
+  return jumped;
+}
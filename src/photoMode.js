@@ -0,0 +1,190 @@
+// Photo mode.
+// Freezes the action and hands the camera to OrbitControls, kept inside the
+// kitchen. Extra post-processing passes (depth of field, vignette, colour
+// filters) are added to the game's EffectComposer but only run while photo mode
+// is open. "Save PNG" re-renders the frame at a higher resolution and downloads it.
+
+import * as THREE from 'three';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+
+export const PHOTO_CONFIG = {
+  minDistance: 3,
+  maxDistance: 60,
+  maxPolarAngle: Math.PI * 0.47, // Stay above the board
+  bounds: new THREE.Box3(new THREE.Vector3(-15, 0, -80), new THREE.Vector3(15, 25, 25)), // Where the orbit target may go
+  fov: { min: 20, max: 100 },
+  maxAperture: 0.0002 // Depth of field slider at 100%
+};
+
+export const PHOTO_FILTERS = ['none', 'warm', 'cool', 'sepia', 'mono'];
+
+// Vignette plus a colour filter in one pass
+const PhotoFilterShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    vignette: { value: 0 },
+    filterMode: { value: 0 } // Index into PHOTO_FILTERS
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform float vignette;
+    uniform int filterMode;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      vec3 c = color.rgb;
+      float luma = dot(c, vec3(0.299, 0.587, 0.114));
+
+      if (filterMode == 1) c *= vec3(1.1, 1.0, 0.85);
+      else if (filterMode == 2) c *= vec3(0.85, 0.95, 1.12);
+      else if (filterMode == 3) c = vec3(
+        dot(c, vec3(0.393, 0.769, 0.189)),
+        dot(c, vec3(0.349, 0.686, 0.168)),
+        dot(c, vec3(0.272, 0.534, 0.131)));
+      else if (filterMode == 4) c = vec3(luma);
+
+      float edge = distance(vUv, vec2(0.5));
+      c *= mix(1.0, smoothstep(0.8, 0.25, edge), vignette);
+      gl_FragColor = vec4(c, color.a);
+    }`
+};
+
+export function createPhotoMode({ scene, camera, renderer, composer, controls, config = PHOTO_CONFIG }) {
+  const bokehPass = new BokehPass(scene, camera, { focus: 10, aperture: 0, maxblur: 0.02 });
+  const filterPass = new ShaderPass(PhotoFilterShader);
+  bokehPass.enabled = false;
+  filterPass.enabled = false;
+  composer.addPass(bokehPass);
+  composer.addPass(filterPass);
+
+  const panel = document.getElementById('photo-panel');
+  const fovSlider = document.getElementById('photo-fov');
+  const dofSlider = document.getElementById('photo-dof');
+  const vignetteSlider = document.getElementById('photo-vignette');
+  const filterSelect = document.getElementById('photo-filter');
+  const resolutionSelect = document.getElementById('photo-resolution');
+  const hideHudButton = document.getElementById('photo-hide-hud');
+
+  let active = false;
+  let saved = null; // Camera state to put back on exit
+
+  function keepInBounds() {
+    config.bounds.clampPoint(controls.target, controls.target);
+  }
+
+  function setHudHidden(hidden) {
+    document.body.classList.toggle('hide-hud', hidden);
+    hideHudButton.textContent = hidden ? 'Show HUD' : 'Hide HUD';
+  }
+
+  function applyEffects() {
+    camera.fov = Number(fovSlider.value);
+    camera.updateProjectionMatrix();
+
+    const aperture = (dofSlider.value / 100) * config.maxAperture;
+    bokehPass.uniforms.aperture.value = aperture;
+    bokehPass.enabled = aperture > 0;
+
+    filterPass.uniforms.vignette.value = vignetteSlider.value / 100;
+    filterPass.uniforms.filterMode.value = PHOTO_FILTERS.indexOf(filterSelect.value);
+    filterPass.enabled = filterSelect.value !== 'none' || vignetteSlider.value > 0;
+  }
+
+  // Renders the current view at `multiplier` times the screen resolution and downloads it
+  function savePng() {
+    const pixelRatio = renderer.getPixelRatio();
+    const size = renderer.getSize(new THREE.Vector2());
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const multiplier = Math.min(
+      Number(resolutionSelect.value),
+      maxSize / (size.x * pixelRatio),
+      maxSize / (size.y * pixelRatio)
+    );
+
+    renderer.setPixelRatio(pixelRatio * multiplier);
+    composer.setPixelRatio(pixelRatio * multiplier);
+    composer.render();
+    // The canvas is captured right away, before the next frame clears it
+    renderer.domElement.toBlob((blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `poppy-photo-${Date.now()}.png`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    }, 'image/png');
+    renderer.setPixelRatio(pixelRatio);
+    composer.setPixelRatio(pixelRatio);
+  }
+
+  [fovSlider, dofSlider, vignetteSlider, filterSelect].forEach(element => {
+    element.addEventListener('input', applyEffects);
+  });
+  fovSlider.min = config.fov.min;
+  fovSlider.max = config.fov.max;
+  hideHudButton.addEventListener('click', () => {
+    setHudHidden(!document.body.classList.contains('hide-hud'));
+  });
+  document.getElementById('photo-save').addEventListener('click', savePng);
+  controls.addEventListener('change', keepInBounds);
+
+  return {
+    get active() {
+      return active;
+    },
+    // focus is the point to orbit around, usually Poppy
+    enter(focus) {
+      if (active) return;
+      active = true;
+      saved = {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        fov: camera.fov,
+        target: controls.target.clone()
+      };
+
+      controls.target.copy(focus);
+      keepInBounds();
+      controls.minDistance = config.minDistance;
+      controls.maxDistance = config.maxDistance;
+      controls.maxPolarAngle = config.maxPolarAngle;
+      controls.enablePan = true;
+      controls.enabled = true;
+
+      fovSlider.value = camera.fov;
+      applyEffects();
+      document.body.classList.add('photo-mode');
+      panel.style.display = 'flex';
+    },
+    exit() {
+      if (!active) return;
+      active = false;
+      controls.enabled = false;
+      bokehPass.enabled = false;
+      filterPass.enabled = false;
+      setHudHidden(false);
+      document.body.classList.remove('photo-mode');
+      panel.style.display = 'none';
+
+      camera.position.copy(saved.position);
+      camera.quaternion.copy(saved.quaternion);
+      camera.fov = saved.fov;
+      camera.updateProjectionMatrix();
+      controls.target.copy(saved.target);
+    },
+    // Keeps depth of field focused on whatever the camera orbits
+    update() {
+      if (bokehPass.enabled) bokehPass.uniforms.focus.value = camera.position.distanceTo(controls.target);
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Players.
+// A run has one Poppy, or two mice sharing the board in local two-player games.
+// Each player has her own body, moves and power-ups. Score, combo and lives
+// belong to her team: in versus each player is a team of one, in co-op both
+// share a team, so every cheese counts for the pair and so does every hit.
+// A team that runs out of lives is out; the run goes on while any player is left.
+
+import { createLives } from './lives.js';
+import { createCombo } from './scoring.js';
+import { createMoves } from './moves.js';
+import { createPowerUps } from './powerups.js';
+
+export const PLAY_MODES = {
+  solo: { label: 'One player', players: 1 },
+  versus: { label: 'Two players: versus', players: 2 },
+  coop: { label: 'Two players: co-op', players: 2 }
+};
+
+// Where each player starts, by number of players
+const START_X = { 1: [0], 2: [-4, 4] };
+
+function createTeam(livesConfig, scoringConfig) {
+  return { score: 0, lives: createLives(livesConfig), combo: createCombo(scoringConfig) };
+}
+
+export function createPlayers(mode, { baseY, livesConfig, scoringConfig }) {
+  const shared = mode === 'coop' ? createTeam(livesConfig, scoringConfig) : null;
+  return START_X[PLAY_MODES[mode].players].map((x, index) => ({
+    index,
+    team: shared ?? createTeam(livesConfig, scoringConfig),
+    x,
+    y: baseY,
+    prevX: x,
+    prevY: baseY,
+    velocityY: 0,
+    isJumping: false,
+    knockbackX: 0, // Sideways push after a hit, decays every tick
+    moves: createMoves(),
+    powerUps: createPowerUps(),
+    out: false,
+    cause: null // What knocked her out
+  }));
+}
+
+// Each team once, in player order
+export function teamsOf(players) {
+  return [...new Set(players.map(player => player.team))];
+}
+
+export function livingPlayers(players) {
+  return players.filter(player => !player.out);
+}
+
+// The team with the most points, or null on a draw (and in co-op)
+export function winningTeam(players) {
+  const teams = teamsOf(players);
+  if (teams.length < 2) return null;
+  const best = Math.max(...teams.map(team => team.score));
+  const leaders = teams.filter(team => team.score === best);
+  return leaders.length === 1 ? leaders[0] : null;
+}
@@ -0,0 +1,58 @@
+// Object pools.
+// Spawned objects are created once and then recycled, instead of cloning a model
+// for every spawn and leaving the old clone to the garbage collector.
+
+const pools = new Map();
+
+export function createPool(name, create, { prewarm = 0, onAcquire, onRelease } = {}) {
+  const free = [];
+  const stats = { created: 0, acquired: 0, reused: 0, inUse: 0, peakInUse: 0 };
+
+  function make() {
+    const item = create();
+    stats.created++;
+    return item;
+  }
+
+  const pool = {
+    name,
+    acquire() {
+      let item;
+      if (free.length) {
+        item = free.pop();
+        stats.reused++;
+      } else {
+        item = make();
+      }
+      stats.acquired++;
+      stats.inUse++;
+      stats.peakInUse = Math.max(stats.peakInUse, stats.inUse);
+      if (onAcquire) onAcquire(item);
+      return item;
+    },
+    release(item) {
+      if (onRelease) onRelease(item);
+      free.push(item);
+      stats.inUse--;
+    },
+    prewarm(count) {
+      for (let i = 0; i < count; i++) {
+        const item = make();
+        if (onRelease) onRelease(item);
+        free.push(item);
+      }
+    },
+    stats() {
+      return { name, free: free.length, ...stats };
+    }
+  };
+
+  pool.prewarm(prewarm);
+  pools.set(name, pool);
+  return pool;
+}
+
+// Snapshot of every pool, handy for console.table()
+export function getPoolStats() {
+  return [...pools.values()].map(pool => pool.stats());
+}
@@ -0,0 +1,203 @@
+// Poppy's animation.
+// The mouse model comes with idle, run and jump clips, which an AnimationMixer
+// cross-fades between as she moves. Procedural layers go on top: she leans into
+// turns, stretches on the way up and down a jump, squashes when she lands and
+// crouches while sliding. A model without clips (like the stand-in mouse) gets a
+// procedural run bob instead.
+// When a player is knocked out her death plays out: a mousetrap snaps her flat, a
+// knife sends her spinning off the board and a rolling pin squashes her lengthways.
+// All of this runs on the wall clock from render(), so deaths keep playing after
+// the simulation stops; main.js holds back the game over screen until they finish.
+
+import * as THREE from 'three';
+
+export const POPPY_ANIMATION_CONFIG = {
+  fadeMs: 150, // Cross-fade between clips
+  jumpClipMs: 900, // The jump clip is sped up to about one jump's air time
+  tilt: 0.2, // Lean into a full-speed turn, in radians
+  tiltRate: 0.006, // How quickly the lean follows the steering, per ms
+  runBob: { height: 0.08, rate: 0.02 }, // Procedural run cycle, for models without a run clip
+  stretch: 0.2, // Extra height at full jump speed; she gets thinner to keep her volume
+  jumpVelocity: 0.4, // Vertical speed that counts as full jump speed (see MOVE_CONFIG)
+  landSquash: 0.3, // Share of her height lost on a hard landing...
+  landMs: 180, // ...springing back over this long
+  slideHeight: 0.55,
+  deathMs: { mousetrap: 1200, knife: 1400, rollingPin: 1200 },
+  reducedDeathMs: 500 // Deaths are shorter and calmer with reduced motion
+};
+
+const CLIP_NAMES = { idle: /idle|idol/i, run: /run/i, jump: /jump/i };
+
+function easeOut(t) {
+  return 1 - (1 - t) * (1 - t);
+}
+
+// Death sequences: each sets her offset from where she died, rotation and scale
+// (relative to her normal size) for t from 0 to 1
+const DEATHS = {
+  // Jolts up, then the trap slams her flat and she shivers
+  mousetrap(pose, t, { calm, side }) {
+    if (!calm && t < 0.15) {
+      const jolt = Math.sin((t / 0.15) * Math.PI);
+      pose.offset.y = jolt * 0.6;
+      pose.scale.set(0.9, 1 + jolt * 0.3, 0.9);
+      return;
+    }
+    const flat = calm ? easeOut(t) : 1;
+    pose.scale.set(1 + flat * 0.6, 1 - flat * 0.85, 1 + flat * 0.6);
+    if (!calm) pose.rotation.z = Math.sin(t * 60) * 0.15 * (1 - t) * side;
+  },
+  // Freezes for a beat, then topples over and spins off the side of the board
+  knife(pose, t, { calm, side }) {
+    if (calm) {
+      pose.rotation.z = -side * easeOut(t) * Math.PI / 2;
+      return;
+    }
+    if (t < 0.12) {
+      pose.offset.x = Math.sin(t * 200) * 0.05;
+      return;
+    }
+    const fall = (t - 0.12) / 0.88;
+    pose.rotation.z = -side * Math.min(1, fall * 2) * Math.PI / 2;
+    pose.rotation.y = side * fall * Math.PI * 3;
+    pose.offset.x = side * fall * 9;
+    pose.offset.y = Math.sin(Math.min(1, fall * 2) * Math.PI) * 1.5 - Math.max(0, fall - 0.5) * 12;
+  },
+  // Pressed flat along the board by the pin rolling across her
+  rollingPin(pose, t, { calm, side }) {
+    const press = calm ? easeOut(t) : Math.min(1, t * 4);
+    pose.scale.set(1 - press * 0.2, 1 - press * 0.8, 1 + press * 0.7);
+    if (!calm) pose.offset.x = Math.sin(Math.min(1, t * 4) * Math.PI) * side * 0.4;
+  }
+};
+
+// model is the mouse's scene (already placed and scaled to baseScale); clips its animations
+export function createPoppyRig(model, clips = [], { baseScale = 1, config = POPPY_ANIMATION_CONFIG } = {}) {
+  const mixer = clips.length ? new THREE.AnimationMixer(model) : null;
+  const actions = {};
+  if (mixer) {
+    Object.entries(CLIP_NAMES).forEach(([name, pattern]) => {
+      const clip = clips.find(candidate => pattern.test(candidate.name));
+      if (clip) actions[name] = mixer.clipAction(clip);
+    });
+    if (actions.jump) {
+      actions.jump.setLoop(THREE.LoopOnce, 1);
+      actions.jump.clampWhenFinished = true;
+      actions.jump.timeScale = actions.jump.getClip().duration * 1000 / config.jumpClipMs;
+    }
+  }
+
+  let current = null;
+  let lastFrame = null;
+  let tilt = 0;
+  let landing = null; // { at, strength } of the last landing
+  let death = null; // { cause, at, duration, calm, side, from } while dying
+  const pose = { offset: new THREE.Vector3(), rotation: new THREE.Euler(), scale: new THREE.Vector3() };
+
+  // Cross-fades to a clip. Restarting the one already playing only makes sense for jumps
+  function play(name, restart = false) {
+    const action = actions[name];
+    if (!action || (action === current && !restart)) return;
+    action.reset().setEffectiveWeight(1).fadeIn(config.fadeMs / 1000).play();
+    if (current && current !== action) current.fadeOut(config.fadeMs / 1000);
+    current = action;
+  }
+
+  function squashTo(height) {
+    const width = 1 / Math.sqrt(height);
+    model.scale.set(baseScale * width, baseScale * height, baseScale * width);
+  }
+
+  function updateDeath(now) {
+    const t = Math.min(1, (now - death.at) / death.duration);
+    pose.offset.set(0, 0, 0);
+    pose.rotation.set(0, 0, 0);
+    pose.scale.set(1, 1, 1);
+    (DEATHS[death.cause] ?? DEATHS.mousetrap)(pose, t, death);
+    model.position.copy(death.from).add(pose.offset);
+    model.rotation.set(pose.rotation.x, Math.PI + pose.rotation.y, pose.rotation.z);
+    model.scale.copy(pose.scale).multiplyScalar(baseScale);
+    if (t >= 1) death.finished = true;
+  }
+
+  play('idle');
+
+  return {
+    // Once per frame. state: { x, y (interpolated), steer, velocityY, airborne, sliding,
+    // running }. paused freezes her mid-pose
+    update(state, now, { reducedMotion = false, paused = false } = {}) {
+      const dt = paused || lastFrame === null ? 0 : Math.min(100, now - lastFrame);
+      lastFrame = now;
+      if (mixer) mixer.update(dt / 1000);
+      if (death) {
+        if (!paused) updateDeath(now);
+        return;
+      }
+
+      // Clips: jumps play out once, otherwise she runs while the board moves
+      if (!state.airborne) play(state.running ? 'run' : 'idle');
+
+      model.position.set(state.x, state.y, 0);
+
+      const targetTilt = reducedMotion ? 0 : -config.tilt * (state.steer ?? 0); // Tilt into the turn
+      tilt += (targetTilt - tilt) * Math.min(1, dt * config.tiltRate);
+      model.rotation.set(0, Math.PI, tilt);
+
+      let height = state.sliding ? config.slideHeight : 1;
+      if (!reducedMotion) {
+        if (state.airborne) {
+          height *= 1 + config.stretch * Math.min(1, Math.abs(state.velocityY) / config.jumpVelocity);
+        } else if (state.running && !actions.run) {
+          model.position.y += Math.abs(Math.sin(now * config.runBob.rate)) * config.runBob.height;
+        }
+        if (landing) {
+          const t = (now - landing.at) / config.landMs;
+          if (t >= 1) landing = null;
+          else height *= 1 - config.landSquash * landing.strength * Math.sin(t * Math.PI);
+        }
+      }
+      squashTo(height);
+    },
+    jump() {
+      if (death) return;
+      landing = null;
+      play('jump', true);
+    },
+    // speed is how fast she was falling; harder landings squash more
+    land(speed) {
+      if (death) return;
+      landing = { at: performance.now(), strength: Math.min(1, speed / config.jumpVelocity) };
+      play('run');
+    },
+    // side is the way she falls: 1 towards +X, -1 towards -X
+    die(cause, side, { reducedMotion = false } = {}) {
+      if (death) return;
+      const calm = reducedMotion;
+      death = {
+        cause,
+        side,
+        calm,
+        at: performance.now(),
+        duration: calm ? config.reducedDeathMs : (config.deathMs[cause] ?? config.deathMs.mousetrap),
+        from: model.position.clone(),
+        finished: false
+      };
+      if (current) current.paused = true;
+    },
+    // True while a death sequence is still playing
+    get dying() {
+      return Boolean(death && !death.finished);
+    },
+    // Back on her feet for a new run
+    reset() {
+      death = null;
+      landing = null;
+      tilt = 0;
+      if (mixer) mixer.stopAllAction();
+      current = null;
+      model.rotation.set(0, Math.PI, 0);
+      squashTo(1);
+      play('idle');
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// Power-ups.
+// Rare collectibles with timed effects. Picking up a power-up that is already
+// active follows its stacking rule:
+//   refresh - the timer restarts at the full duration (magnet, shield)
+//   extend  - the duration is added to what's left, up to maxDuration (slow-time)
+//   instant - no timer, the effect happens on pickup (golden cheese)
+// The shield also ends early when it absorbs a hit.
+
+export const POWERUPS = {
+  magnet: {
+    label: 'Magnet',
+    icon: '🧲',
+    stacking: 'refresh',
+    duration: 8000,
+    radius: 9, // Cheese closer than this gets pulled in
+    pullSpeed: 0.35 // Units per tick
+  },
+  shield: {
+    label: 'Shield',
+    icon: '🛡️',
+    stacking: 'refresh',
+    duration: 12000,
+    graceMs: 1000 // Invulnerability after the shield pops, so the same hazard can't hit twice
+  },
+  golden: {
+    label: 'Golden Cheese',
+    icon: '🧀',
+    stacking: 'instant',
+    bonus: 10
+  },
+  slowTime: {
+    label: 'Slow-Time',
+    icon: '⏳',
+    stacking: 'extend',
+    duration: 6000,
+    maxDuration: 12000,
+    scrollFactor: 0.5
+  }
+};
+
+export function createPowerUps() {
+  return { active: {} }; // type -> ms of sim time when it runs out
+}
+
+export function isActive(state, type, simTime) {
+  return state.active[type] !== undefined && simTime < state.active[type];
+}
+
+// Applies a picked up power-up. Returns the score bonus it's worth.
+export function collectPowerUp(state, type, simTime) {
+  const powerUp = POWERUPS[type];
+  if (!powerUp) throw new Error(`Unknown power-up "${type}"`);
+
+  switch (powerUp.stacking) {
+    case 'instant':
+      return powerUp.bonus ?? 0;
+    case 'extend': {
+      const remaining = isActive(state, type, simTime) ? state.active[type] - simTime : 0;
+      state.active[type] = simTime + Math.min(powerUp.maxDuration, remaining + powerUp.duration);
+      return 0;
+    }
+    default:
+      state.active[type] = simTime + powerUp.duration;
+      return 0;
+  }
+}
+
+// Uses up the shield if one is active. Returns true if the hit was absorbed.
+export function absorbHit(state, simTime) {
+  if (!isActive(state, 'shield', simTime)) return false;
+  delete state.active.shield;
+  return true;
+}
+
+// Drops expired effects, returns the types that just ran out
+export function expirePowerUps(state, simTime) {
+  const expired = [];
+  Object.entries(state.active).forEach(([type, until]) => {
+    if (simTime >= until) {
+      delete state.active[type];
+      expired.push(type);
+    }
+  });
+  return expired;
+}
+
+export function scrollFactor(state, simTime) {
+  return isActive(state, 'slowTime', simTime) ? POWERUPS.slowTime.scrollFactor : 1;
+}
+
+// Active effects with their remaining time, for the HUD
+export function activePowerUps(state, simTime) {
+  return Object.entries(state.active)
+    .filter(([, until]) => simTime < until)
+    .map(([type, until]) => {
+      const powerUp = POWERUPS[type];
+      const remaining = until - simTime;
+      const total = powerUp.stacking === 'extend' ? powerUp.maxDuration : powerUp.duration;
+      return { type, label: powerUp.label, icon: powerUp.icon, remaining, fraction: Math.min(1, remaining / total) };
+    });
+}
@@ -0,0 +1,147 @@
+// Graphics quality.
+// Three presets trade looks for speed. "Auto" starts from the level this device
+// settled on last time and moves one step at a time based on measured frame
+// times: down quickly when frames are slow, up only after a long stretch of fast
+// frames, and never straight back up to a level it just had to leave.
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// The effects settings cap particles, floating score numbers and speed lines (see effects.js)
+export const QUALITY_PRESETS = {
+  low: {
+    label: 'Low', maxPixelRatio: 0.75, shadows: false, shadowMapSize: 512, bloom: false,
+    maxParticles: 120, particleDensity: 0.4, maxFloatingText: 3, speedLines: 0
+  },
+  medium: {
+    label: 'Medium', maxPixelRatio: 1.5, shadows: true, shadowMapSize: 1024, bloom: false,
+    maxParticles: 400, particleDensity: 0.7, maxFloatingText: 6, speedLines: 16
+  },
+  high: {
+    label: 'High', maxPixelRatio: 2, shadows: true, shadowMapSize: 2048, bloom: true,
+    maxParticles: 1000, particleDensity: 1, maxFloatingText: 10, speedLines: 32
+  }
+};
+
+export const QUALITY_CONFIG = {
+  sampleWindow: 60, // Frames averaged together
+  slowFrameMs: 1000 / 45, // Averages above this count as struggling
+  fastFrameMs: 1000 / 57, // Averages below this count as having headroom
+  downshiftAfterMs: 2000, // Struggling for this long drops a level
+  upshiftAfterMs: 8000, // Headroom for this long raises a level
+  cooldownMs: 3000, // Ignore frame times right after a change while things settle
+  retryAfterMs: 30000, // Wait this long before going back up to a level we dropped from
+  ignoreFrameMs: 250 // Longer frames are tab switches or hitches, not real performance
+};
+
+const SETTINGS_KEY = 'poppyQuality';
+
+export function loadQualitySettings() {
+  const defaults = { preset: 'auto', autoLevel: 'medium', showFps: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved === 'object') {
+      const settings = { ...defaults, ...saved };
+      if (settings.preset !== 'auto' && !QUALITY_PRESETS[settings.preset]) settings.preset = 'auto';
+      if (!QUALITY_PRESETS[settings.autoLevel]) settings.autoLevel = defaults.autoLevel;
+      return settings;
+    }
+  } catch (error) {
+    console.error('Error reading quality settings, using defaults:', error);
+  }
+  return defaults;
+}
+
+// The level the settings call for: the manual preset, or wherever Auto got to
+export function activeQualityLevel(settings) {
+  return settings.preset === 'auto' ? settings.autoLevel : settings.preset;
+}
+
+export function saveQualitySettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// onChange(level, preset) runs whenever the level in use changes, including once at creation
+export function createQualityController({ onChange, config = QUALITY_CONFIG } = {}) {
+  const settings = loadQualitySettings();
+  const frameTimes = [];
+  let frameTotal = 0;
+  let lastFrame = null;
+  let slowSince = null;
+  let fastSince = null;
+  let holdUntil = 0;
+  const droppedAt = {}; // level -> when Auto last dropped from it
+  let fps = 0;
+
+  function apply() {
+    const level = activeQualityLevel(settings);
+    onChange(level, QUALITY_PRESETS[level]);
+  }
+
+  function resetSamples(now) {
+    frameTimes.length = 0;
+    frameTotal = 0;
+    slowSince = null;
+    fastSince = null;
+    holdUntil = now + config.cooldownMs;
+  }
+
+  function shift(step, now) {
+    const from = QUALITY_LEVELS.indexOf(settings.autoLevel);
+    const to = from + step;
+    if (to < 0 || to >= QUALITY_LEVELS.length) return;
+    if (step < 0) droppedAt[settings.autoLevel] = now;
+    if (step > 0 && now - (droppedAt[QUALITY_LEVELS[to]] ?? -Infinity) < config.retryAfterMs) return;
+
+    settings.autoLevel = QUALITY_LEVELS[to];
+    saveQualitySettings(settings);
+    resetSamples(now);
+    apply();
+  }
+
+  // Call once per rendered frame with performance.now()
+  function frame(now) {
+    const frameMs = lastFrame === null ? 0 : now - lastFrame;
+    lastFrame = now;
+    if (frameMs <= 0 || frameMs > config.ignoreFrameMs) return;
+
+    frameTimes.push(frameMs);
+    frameTotal += frameMs;
+    if (frameTimes.length > config.sampleWindow) frameTotal -= frameTimes.shift();
+    const average = frameTotal / frameTimes.length;
+    fps = 1000 / average;
+
+    if (settings.preset !== 'auto' || now < holdUntil || frameTimes.length < config.sampleWindow) return;
+
+    slowSince = average > config.slowFrameMs ? (slowSince ?? now) : null;
+    fastSince = average < config.fastFrameMs ? (fastSince ?? now) : null;
+    if (slowSince !== null && now - slowSince >= config.downshiftAfterMs) shift(-1, now);
+    else if (fastSince !== null && now - fastSince >= config.upshiftAfterMs) shift(1, now);
+  }
+
+  apply();
+
+  return {
+    frame,
+    get settings() {
+      return { ...settings };
+    },
+    get level() {
+      return activeQualityLevel(settings);
+    },
+    get fps() {
+      return fps;
+    },
+    // preset is 'auto' or one of QUALITY_LEVELS
+    setPreset(preset) {
+      if (preset !== 'auto' && !QUALITY_PRESETS[preset]) return;
+      settings.preset = preset;
+      saveQualitySettings(settings);
+      resetSamples(lastFrame ?? 0);
+      apply();
+    },
+    setShowFps(show) {
+      settings.showFps = show;
+      saveQualitySettings(settings);
+    }
+  };
+}
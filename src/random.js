@@ -0,0 +1,23 @@
+// Seedable pseudo-random number generator (mulberry32).
+// Every gameplay decision that needs randomness must draw from one of these
+// instead of Math.random(), otherwise runs can't be reproduced from a replay.
+
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = seed >>> 0;
+
+  return random;
+}
+
+// A fresh seed for a new run - the only place we're allowed to use Math.random()
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
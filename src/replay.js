@@ -0,0 +1,167 @@
+// Input recording and playback.
+// A replay is the run's RNG seed plus the per-tick input, stored as a list of
+// [tick, buttons] pairs written only when the held buttons change. Feeding the
+// same inputs to the fixed-timestep simulation reproduces the run exactly.
+// Two-player replays pack both players' buttons into one number and record the mode;
+// assisted runs also record the assist options that change the simulation, and every
+// run records its number of lives and whether double jump was on, which ?lives and
+// ?doubleJump can change.
+
+import { TICK_RATE } from './loop.js';
+
+// 2: knives come from the chef, with a wind-up. 3: hazards with behaviours. 4: held jump and slide
+export const REPLAY_VERSION = 4;
+
+// Button bits for one tick of input
+export const INPUT_LEFT = 1;
+export const INPUT_RIGHT = 2;
+export const INPUT_JUMP = 4; // Pressed this tick
+
+// Analog steering (drag or tilt) is packed into the same number: INPUT_ANALOG
+// marks it as present and the bits above hold the steer amount in 1/16 steps.
+// Replays recorded with only digital input never set these bits.
+export const INPUT_ANALOG = 8;
+const STEER_SHIFT = 4;
+const STEER_STEPS = 16;
+const STEER_MASK = 0x3F; // 0..2 * STEER_STEPS
+
+// Held buttons sit above the steer bits
+export const INPUT_JUMP_HELD = 1 << 10;
+export const INPUT_SLIDE = 1 << 11;
+
+function clampSteer(value) {
+  return Math.min(1, Math.max(-1, value));
+}
+
+export function encodeSteer(value) {
+  const step = Math.round(clampSteer(value) * STEER_STEPS);
+  if (step === 0) return 0;
+  return INPUT_ANALOG | ((step + STEER_STEPS) << STEER_SHIFT);
+}
+
+// Steer amount from -1 (full left) to 1 (full right) for one tick of input
+export function steerFromInput(buttons) {
+  let steer = 0;
+  if (buttons & INPUT_LEFT) steer -= 1;
+  if (buttons & INPUT_RIGHT) steer += 1;
+  if (buttons & INPUT_ANALOG) steer += (((buttons >> STEER_SHIFT) & STEER_MASK) - STEER_STEPS) / STEER_STEPS;
+  return clampSteer(steer);
+}
+
+// Each player's buttons get their own bits, player 1 at the bottom
+const PLAYER_INPUT_BITS = 12;
+const PLAYER_INPUT_MASK = (1 << PLAYER_INPUT_BITS) - 1;
+
+export function packInputs(inputs) {
+  return inputs.reduce((packed, buttons, index) => packed | (buttons << (index * PLAYER_INPUT_BITS)), 0);
+}
+
+export function unpackInputs(packed, count) {
+  return Array.from({ length: count }, (_, index) => (packed >>> (index * PLAYER_INPUT_BITS)) & PLAYER_INPUT_MASK);
+}
+
+export function createRecorder(seed) {
+  const events = [];
+  let lastButtons = 0;
+  let ticks = 0;
+
+  return {
+    record(tick, buttons) {
+      if (buttons !== lastButtons) {
+        events.push([tick, buttons]);
+        lastButtons = buttons;
+      }
+      ticks = tick + 1;
+    },
+    finish(summary = {}) {
+      return {
+        version: REPLAY_VERSION,
+        seed,
+        tickRate: TICK_RATE,
+        ticks,
+        events: events.slice(),
+        ...summary
+      };
+    }
+  };
+}
+
+export function createPlayback(replay) {
+  let index = 0;
+  let buttons = 0;
+
+  return {
+    replay,
+    // Ticks must be requested in increasing order, as the simulation does
+    inputAt(tick) {
+      while (index < replay.events.length && replay.events[index][0] <= tick) {
+        buttons = replay.events[index][1];
+        index++;
+      }
+      return buttons;
+    },
+    isFinished(tick) {
+      return tick >= replay.ticks;
+    }
+  };
+}
+
+export function validateReplay(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Replay file is not a JSON object');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.version}`);
+  }
+  if (data.tickRate !== TICK_RATE) {
+    throw new Error(`Replay was recorded at ${data.tickRate} ticks/s, expected ${TICK_RATE}`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    throw new Error('Replay has an invalid seed');
+  }
+  if (!Number.isInteger(data.ticks) || !Array.isArray(data.events)) {
+    throw new Error('Replay is missing its input events');
+  }
+  if (data.mode !== undefined && !['solo', 'versus', 'coop'].includes(data.mode)) {
+    throw new Error(`Unknown play mode: ${data.mode}`);
+  }
+  if (data.assist !== undefined && (
+    !data.assist || !Number.isFinite(data.assist.hitTolerance) || typeof data.assist.autoSteer !== 'boolean'
+  )) {
+    throw new Error('Replay has invalid assist options');
+  }
+  if (data.lives !== undefined && (
+    !data.lives || !Number.isInteger(data.lives.startingLives) || data.lives.startingLives < 1 ||
+    !Number.isInteger(data.lives.maxLives) || data.lives.maxLives < data.lives.startingLives
+  )) {
+    throw new Error('Replay has invalid lives settings');
+  }
+  if (data.moves !== undefined && (!data.moves || typeof data.moves.doubleJump !== 'boolean')) {
+    throw new Error('Replay has invalid move settings');
+  }
+  let lastTick = -1;
+  for (const event of data.events) {
+    if (!Array.isArray(event) || !Number.isInteger(event[0]) || !Number.isInteger(event[1]) || event[0] <= lastTick) {
+      throw new Error('Replay input events are malformed');
+    }
+    lastTick = event[0];
+  }
+  return data;
+}
+
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `poppy-replay-${replay.score ?? 0}-${replay.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export async function readReplayFile(file) {
+  const text = await file.text();
+  return validateReplay(JSON.parse(text));
+}
@@ -0,0 +1,39 @@
+// Combo scoring.
+// Every cheese eaten in a row (without letting one slip past) builds a streak, and the
+// streak raises the multiplier applied to cheese points. Missing a cheese or getting
+// hit resets it. Dodging a hazard by a whisker is worth near-miss bonus points.
+
+export const SCORING_CONFIG = {
+  cheesePerLevel: 5, // Streak length needed for each +1 on the multiplier
+  maxMultiplier: 5,
+  nearMissMargin: 0.8, // Passing within this many units of a hazard counts as a near miss
+  nearMissPoints: 2 // Multiplied by the current multiplier
+};
+
+export function createCombo(config = SCORING_CONFIG) {
+  return { config, streak: 0, multiplier: 1, bestStreak: 0, nearMisses: 0 };
+}
+
+function updateMultiplier(state) {
+  const { cheesePerLevel, maxMultiplier } = state.config;
+  state.multiplier = Math.min(maxMultiplier, 1 + Math.floor(state.streak / cheesePerLevel));
+}
+
+// Returns the points earned for a cheese worth `value` before the multiplier
+export function scoreCheese(state, value = 1) {
+  const points = value * state.multiplier;
+  state.streak++;
+  state.bestStreak = Math.max(state.bestStreak, state.streak);
+  updateMultiplier(state);
+  return points;
+}
+
+export function scoreNearMiss(state) {
+  state.nearMisses++;
+  return state.config.nearMissPoints * state.multiplier;
+}
+
+export function breakCombo(state) {
+  state.streak = 0;
+  updateMultiplier(state);
+}
@@ -0,0 +1,169 @@
+// Lifetime statistics and achievements, kept in localStorage.
+// Each run keeps its own tally (createRunStats), which is checked against the
+// achievements as it goes and added to the lifetime totals when the run ends.
+// Only live runs count - watching a replay changes nothing.
+// The saved data carries a version; MIGRATIONS upgrades older saves one version at a time.
+
+import { HAZARD_CAUSES } from './hazards.js';
+
+const STORAGE_KEY = 'poppyStats';
+export const STATS_VERSION = 1;
+
+// version -> function turning a save of that version into the next one
+const MIGRATIONS = {};
+
+// Causes of death that get their own total: one per hazard
+export const DEATH_CAUSES = Object.keys(HAZARD_CAUSES);
+
+export const TOTAL_LABELS = {
+  runs: 'Runs played',
+  cheese: 'Cheese eaten',
+  timeMs: 'Time survived',
+  jumps: 'Jumps',
+  nearMisses: 'Near misses',
+  levelsCleared: 'Levels cleared',
+  bestScore: 'Best score',
+  longestRunMs: 'Longest run'
+};
+
+// check(run, totals) is true once the achievement is earned. run is the current
+// run's tally, totals the lifetime totals before it
+export const ACHIEVEMENTS = [
+  {
+    id: 'firstCheese',
+    label: 'First Nibble',
+    description: 'Eat your first cheese',
+    check: (run, totals) => totals.cheese + run.cheese >= 1
+  },
+  {
+    id: 'cheese50',
+    label: 'Cheese Fiend',
+    description: 'Eat 50 cheese in one run',
+    check: run => run.cheese >= 50
+  },
+  {
+    id: 'cheese1000',
+    label: 'Dairy Devotee',
+    description: 'Eat 1000 cheese in total',
+    check: (run, totals) => totals.cheese + run.cheese >= 1000
+  },
+  {
+    id: 'survive3',
+    label: 'Still Standing',
+    description: 'Survive 3 minutes in one run',
+    check: run => run.timeMs >= 3 * 60 * 1000
+  },
+  {
+    id: 'grounded3',
+    label: 'Feet on the Board',
+    description: 'Survive 3 minutes without jumping',
+    check: run => run.timeMs >= 3 * 60 * 1000 && run.jumps === 0
+  },
+  {
+    id: 'streak25',
+    label: 'On a Roll',
+    description: 'Eat 25 cheese in a row',
+    check: run => run.bestStreak >= 25
+  },
+  {
+    id: 'nearMiss10',
+    label: 'Whisker Close',
+    description: '10 near misses in one run',
+    check: run => run.nearMisses >= 10
+  },
+  {
+    id: 'levelCleared',
+    label: 'Clean Plate',
+    description: 'Clear a level',
+    check: run => run.levelCleared
+  },
+  {
+    id: 'kitchenTour',
+    label: 'Kitchen Tour',
+    description: 'Be caught by every kind of hazard',
+    check: (run, totals) => DEATH_CAUSES.every(cause => totals.deaths[cause] + run.deaths.filter(death => death === cause).length > 0)
+  }
+];
+
+function createTotals() {
+  return {
+    runs: 0,
+    cheese: 0,
+    timeMs: 0,
+    jumps: 0,
+    nearMisses: 0,
+    levelsCleared: 0,
+    bestScore: 0,
+    longestRunMs: 0,
+    deaths: { ...Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0])), unknown: 0 }
+  };
+}
+
+export function createStats() {
+  return { version: STATS_VERSION, totals: createTotals(), achievements: {} };
+}
+
+export function loadStats() {
+  try {
+    let saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== 'object' || !Number.isInteger(saved.version)) return createStats();
+    while (saved.version < STATS_VERSION) {
+      saved = MIGRATIONS[saved.version](saved);
+    }
+    if (saved.version > STATS_VERSION) {
+      console.error(`Stats were saved by a newer version (${saved.version}), starting fresh`);
+      return createStats();
+    }
+    // Totals added since the stats were saved start at zero
+    const totals = { ...createTotals(), ...saved.totals };
+    totals.deaths = { ...createTotals().deaths, ...saved.totals?.deaths };
+    return { version: STATS_VERSION, totals, achievements: { ...saved.achievements } };
+  } catch (error) {
+    console.error('Error reading stats, starting fresh:', error);
+    return createStats();
+  }
+}
+
+export function saveStats(stats) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+}
+
+// The tally for one run. deaths lists the cause for every player knocked out
+export function createRunStats() {
+  return {
+    cheese: 0,
+    jumps: 0,
+    nearMisses: 0,
+    bestStreak: 0,
+    timeMs: 0,
+    levelCleared: false,
+    deaths: []
+  };
+}
+
+// Marks newly earned achievements as unlocked and returns them
+export function checkAchievements(stats, run, date = new Date().toISOString()) {
+  return ACHIEVEMENTS.filter(achievement => {
+    if (stats.achievements[achievement.id] || !achievement.check(run, stats.totals)) return false;
+    stats.achievements[achievement.id] = date;
+    return true;
+  });
+}
+
+// Adds a finished run to the totals. Returns the achievements it unlocked
+export function recordRun(stats, run, score) {
+  const unlocked = checkAchievements(stats, run);
+  const { totals } = stats;
+  totals.runs++;
+  totals.cheese += run.cheese;
+  totals.timeMs += run.timeMs;
+  totals.jumps += run.jumps;
+  totals.nearMisses += run.nearMisses;
+  if (run.levelCleared) totals.levelsCleared++;
+  totals.bestScore = Math.max(totals.bestScore, score);
+  totals.longestRunMs = Math.max(totals.longestRunMs, run.timeMs);
+  run.deaths.forEach(cause => {
+    totals.deaths[cause in totals.deaths ? cause : 'unknown']++;
+  });
+  return unlocked;
+}
@@ -0,0 +1,58 @@
+// Stats screen: lifetime totals, how Poppy met her end, and which achievements
+// are unlocked. Opened from the start screen.
+
+import { ACHIEVEMENTS, DEATH_CAUSES, TOTAL_LABELS } from './stats.js';
+import { CAUSE_LABELS, formatDuration } from './leaderboard.js';
+
+function formatTotal(key, value) {
+  return key.endsWith('Ms') ? formatDuration(value) : String(value);
+}
+
+function row(label, value) {
+  const tr = document.createElement('tr');
+  [label, value].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    tr.appendChild(cell);
+  });
+  return tr;
+}
+
+export function setupStatsScreen({ getStats }) {
+  const screen = document.getElementById('stats-screen');
+  const totalsBody = document.querySelector('#stats-table tbody');
+  const achievementList = document.getElementById('achievement-list');
+  const summary = document.getElementById('achievement-summary');
+
+  function render() {
+    const { totals, achievements } = getStats();
+    totalsBody.replaceChildren(
+      ...Object.entries(TOTAL_LABELS).map(([key, label]) => row(label, formatTotal(key, totals[key]))),
+      ...DEATH_CAUSES.map(cause => row(CAUSE_LABELS[cause], totals.deaths[cause]))
+    );
+
+    const unlockedCount = ACHIEVEMENTS.filter(achievement => achievements[achievement.id]).length;
+    summary.textContent = `${unlockedCount} of ${ACHIEVEMENTS.length} unlocked`;
+    achievementList.replaceChildren(...ACHIEVEMENTS.map(achievement => {
+      const item = document.createElement('li');
+      const unlockedAt = achievements[achievement.id];
+      item.className = unlockedAt ? 'unlocked' : 'locked';
+      const title = document.createElement('strong');
+      title.textContent = achievement.label;
+      const description = document.createElement('span');
+      description.textContent = unlockedAt
+        ? `${achievement.description} · ${new Date(unlockedAt).toLocaleDateString()}`
+        : achievement.description;
+      item.append(title, description);
+      return item;
+    }));
+  }
+
+  document.getElementById('stats-button').addEventListener('click', () => {
+    render();
+    screen.style.display = 'flex';
+  });
+  document.getElementById('close-stats').addEventListener('click', () => {
+    screen.style.display = 'none';
+  });
+}
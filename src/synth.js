@@ -0,0 +1,169 @@
+// Synthesized sounds.
+// Only the cheese sound ships as a file, so everything else is rendered into
+// AudioBuffers here when the game starts. Each function takes the AudioContext
+// and returns a buffer ready for THREE.Audio.setBuffer().
+
+const TWO_PI = Math.PI * 2;
+
+function noteFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// Fills a mono buffer with sample(t) for t in seconds
+function render(context, seconds, sample) {
+  const rate = context.sampleRate;
+  const buffer = context.createBuffer(1, Math.ceil(seconds * rate), rate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sample(i / rate);
+  }
+  return buffer;
+}
+
+// Quick attack, exponential decay
+function envelope(t, attack, decay) {
+  if (t < 0) return 0;
+  if (t < attack) return t / attack;
+  return Math.exp(-(t - attack) / decay);
+}
+
+function triangle(phase) {
+  return 1 - 4 * Math.abs((phase % 1) - 0.5);
+}
+
+function square(phase) {
+  return (phase % 1) < 0.5 ? 1 : -1;
+}
+
+// Notes as [start in s, midi note, length in s], played with the given waveform.
+// Each note only touches its own samples, so long tunes render quickly.
+function renderNotes(context, seconds, notes, wave, decay) {
+  const rate = context.sampleRate;
+  const buffer = context.createBuffer(1, Math.ceil(seconds * rate), rate);
+  const data = buffer.getChannelData(0);
+  for (const [start, midi, length] of notes) {
+    const frequency = noteFrequency(midi);
+    const last = Math.min(data.length, Math.ceil((start + length) * rate));
+    for (let i = Math.floor(start * rate); i < last; i++) {
+      const local = i / rate - start;
+      const fade = Math.min(1, Math.max(0, (length - local) * 40)); // Avoid clicks at the end of each note
+      data[i] += wave(local * frequency) * envelope(local, 0.01, decay) * fade * 0.3;
+    }
+  }
+  return buffer;
+}
+
+export function synthJump(context) {
+  // Rising "boing"
+  return render(context, 0.2, (t) => {
+    const phase = 300 * t + 1200 * t * t; // Sweep from 300Hz upwards
+    return Math.sin(TWO_PI * phase) * envelope(t, 0.005, 0.06) * 0.6;
+  });
+}
+
+export function synthTrapSnap(context) {
+  // Sharp crack with a wooden thump under it
+  return render(context, 0.35, (t) => {
+    const crack = (Math.random() * 2 - 1) * envelope(t, 0.001, 0.015);
+    const thump = Math.sin(TWO_PI * 110 * t) * envelope(t, 0.002, 0.08);
+    const ring = Math.sin(TWO_PI * 2300 * t) * envelope(t, 0.001, 0.05) * 0.2;
+    return (crack + thump + ring) * 0.45;
+  });
+}
+
+export function synthKnifeSlice(context) {
+  // Metallic "shing": noise ringing through a rising tone
+  return render(context, 0.5, (t) => {
+    const tone = Math.sin(TWO_PI * (2800 * t + 2500 * t * t));
+    const noise = Math.random() * 2 - 1;
+    return (tone * 0.5 + noise * 0.25) * envelope(t, 0.02, 0.12);
+  });
+}
+
+export function synthPinBonk(context) {
+  // Hollow wooden "bonk": two detuned tones dropping in pitch
+  return render(context, 0.3, (t) => {
+    const phase = 220 * t - 150 * t * t;
+    const body = Math.sin(TWO_PI * phase) + Math.sin(TWO_PI * phase * 1.48) * 0.4;
+    return body * envelope(t, 0.002, 0.07) * 0.5;
+  });
+}
+
+export function synthGameOver(context) {
+  // Sad trombone-ish descent
+  return renderNotes(context, 1.8, [
+    [0, 67, 0.35],
+    [0.35, 66, 0.35],
+    [0.7, 65, 0.35],
+    [1.05, 64, 0.7]
+  ], triangle, 0.5);
+}
+
+export function synthHighScore(context) {
+  // Bright rising arpeggio
+  return renderNotes(context, 1.2, [
+    [0, 72, 0.15],
+    [0.12, 76, 0.15],
+    [0.24, 79, 0.15],
+    [0.36, 84, 0.7]
+  ], square, 0.25);
+}
+
+export function synthAchievement(context) {
+  // Two-note chime
+  return renderNotes(context, 0.6, [
+    [0, 79, 0.1],
+    [0.09, 88, 0.4]
+  ], triangle, 0.3);
+}
+
+// Sizzling pan for the chef's station: rumbling noise with random pops
+export function synthSizzle(context) {
+  let low = 0;
+  return render(context, 4, (t) => {
+    const noise = Math.random() * 2 - 1;
+    low += (noise - low) * 0.08; // One-pole low-pass
+    const pop = Math.random() < 0.0004 ? Math.random() * 2 - 1 : 0;
+    const fade = Math.min(1, t * 20, (4 - t) * 20); // Loops without a click
+    return (low * 0.6 + noise * 0.05 + pop) * fade * 0.5;
+  });
+}
+
+// Eight bars of a bouncy kitchen tune at 140 BPM, made to loop
+export function synthMusic(context) {
+  const beat = 60 / 140;
+  const bars = [
+    { root: 48, chord: [60, 64, 67] }, // C
+    { root: 45, chord: [60, 64, 69] }, // Am
+    { root: 41, chord: [60, 65, 69] }, // F
+    { root: 43, chord: [59, 62, 67] } // G
+  ];
+  const melody = [76, 79, 81, 79, 76, 74, 72, 74, 76, 76, 74, 72, 71, 72, 74, 79];
+
+  const notes = [];
+  const bass = [];
+  for (let bar = 0; bar < 8; bar++) {
+    const { root, chord } = bars[bar % bars.length];
+    const start = bar * 4 * beat;
+    // Oom-pah: bass on 1 and 3, chord stabs on 2 and 4
+    bass.push([start, root, beat * 0.9], [start + 2 * beat, root + 7, beat * 0.9]);
+    [1, 3].forEach(offbeat => {
+      chord.forEach(midi => notes.push([start + offbeat * beat, midi, beat * 0.4]));
+    });
+    // Melody on every other bar pair, so it doesn't get tiring
+    if (bar % 4 < 2) {
+      for (let i = 0; i < 8; i++) {
+        const midi = melody[(bar % 2) * 8 + i];
+        notes.push([start + i * beat / 2, midi, beat * 0.45]);
+      }
+    }
+  }
+
+  const seconds = 8 * 4 * beat;
+  const chords = renderNotes(context, seconds, notes, triangle, 0.2).getChannelData(0);
+  const bassLine = renderNotes(context, seconds, bass, triangle, 0.35).getChannelData(0);
+  return render(context, seconds, (t) => {
+    const i = Math.min(chords.length - 1, Math.floor(t * context.sampleRate));
+    return chords[i] * 0.6 + bassLine[i] * 0.9;
+  });
+}
@@ -0,0 +1,216 @@
+// Headless runs of the game simulation with scripted input.
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, step, spawn, spawnHazard, GAME_CONFIG } from '../src/game.js';
+import { INPUT_LEFT, INPUT_RIGHT, INPUT_JUMP, packInputs } from '../src/replay.js';
+import { isInvulnerable, LIVES_CONFIG } from '../src/lives.js';
+import { TICK_MS } from '../src/loop.js';
+
+// A one-pattern level from authored rows, followed by the finish line
+function level(rows) {
+  return {
+    format: 1,
+    name: 'Test',
+    scrollSpeed: 0.12,
+    patterns: { main: { rows } },
+    sequence: [{ pattern: 'main' }]
+  };
+}
+
+// Nothing on the board until the finish line, far enough away to never arrive in these tests
+const QUIET = level([{ at: 600000, row: '.....' }]);
+
+// Steps until the game is over or maxTicks have passed. script(tick) gives each tick's buttons.
+// Returns every event, in order
+function play(game, script = () => 0, maxTicks = 5000) {
+  const events = [];
+  for (let i = 0; i < maxTicks && !game.over; i++) {
+    step(game, script(game.tick));
+    events.push(...game.events);
+  }
+  return events;
+}
+
+// An armed trap just in front of the player, so it catches her on the next tick
+function armedTrap(game, x = 0) {
+  const trap = spawnHazard(game, 'trap', { x, z: -1 });
+  trap.cycleStart = game.time;
+  trap.armed = true;
+  return trap;
+}
+
+function waitOutInvulnerability(game) {
+  const [player] = game.players;
+  play(game, () => 0, Math.ceil(LIVES_CONFIG.invulnerableMs / TICK_MS) + 10);
+  assert.equal(isInvulnerable(player.team.lives, game.time), false);
+}
+
+test('steering stays inside the board edges', () => {
+  const game = createGame({ seed: 1, level: QUIET });
+  const [player] = game.players;
+
+  play(game, () => INPUT_RIGHT, 100);
+  assert.ok(player.x <= GAME_CONFIG.edge + GAME_CONFIG.moveSpeed);
+  assert.ok(player.x > GAME_CONFIG.edge - 1);
+
+  play(game, () => INPUT_LEFT, 200);
+  assert.ok(player.x >= -GAME_CONFIG.edge - GAME_CONFIG.moveSpeed);
+  assert.ok(player.x < -GAME_CONFIG.edge + 1);
+});
+
+test('cheese in the player\'s lane is eaten and scores', () => {
+  const game = createGame({ seed: 1, level: level([{ at: 0, row: '..C..' }, { at: 400, row: '..C..' }]) });
+  const events = play(game, () => 0, 400);
+
+  const scores = events.filter(event => event.type === 'score');
+  assert.deepEqual(scores.map(event => event.kind), ['cheese', 'cheese']);
+  assert.equal(game.players[0].team.score, 2);
+  assert.equal(game.runStats.cheese, 2);
+  assert.equal(game.runStats.bestStreak, 2);
+  assert.equal(game.cheeses.length, 0);
+});
+
+test('score events carry the multiplier the points were scored at', () => {
+  const rows = Array.from({ length: 6 }, (_, index) => ({ at: index * 300, row: '..C..' }));
+  const game = createGame({ seed: 1, level: level(rows) });
+  const scores = play(game).filter(event => event.type === 'score');
+
+  // The fifth cheese raises the multiplier, but only counts at x1 itself
+  assert.deepEqual(scores.map(event => [event.points, event.multiplier]), [[1, 1], [1, 1], [1, 1], [1, 1], [1, 1], [2, 2]]);
+  assert.equal(game.players[0].team.combo.multiplier, 2);
+});
+
+test('cheese that gets past breaks the combo', () => {
+  const game = createGame({ seed: 1, level: level([{ at: 0, row: '..C..' }]) });
+  const events = play(game, () => INPUT_LEFT, 400);
+
+  assert.equal(game.players[0].team.score, 0);
+  assert.ok(events.some(event => event.type === 'comboBroken'));
+});
+
+test('reaching the finish line completes the level', () => {
+  const game = createGame({ seed: 1, level: level([{ at: 0, row: '.....' }]) });
+  const events = play(game);
+
+  assert.equal(game.over, 'level-complete');
+  assert.equal(game.runStats.levelCleared, true);
+  assert.deepEqual(events.at(-1), { type: 'gameOver', cause: 'level-complete' });
+});
+
+test('an armed trap costs a life and leaves the player invulnerable', () => {
+  const game = createGame({ seed: 1, level: QUIET });
+  const [player] = game.players;
+  armedTrap(game);
+
+  step(game, 0);
+  assert.ok(game.events.some(event => event.type === 'hit' && event.cause === 'mousetrap'));
+  assert.equal(player.team.lives.lives, LIVES_CONFIG.startingLives - 1);
+  assert.ok(isInvulnerable(player.team.lives, game.time));
+
+  // Still touching the trap, but the blinking player can't be hit again
+  step(game, 0);
+  assert.equal(game.events.some(event => event.type === 'hit'), false);
+  assert.equal(player.team.lives.lives, LIVES_CONFIG.startingLives - 1);
+});
+
+test('jumping clears a trap', () => {
+  const game = createGame({ seed: 1, level: QUIET });
+  const [player] = game.players;
+  const trap = spawnHazard(game, 'trap', { x: 0, z: -6 });
+  trap.cycleStart = game.time;
+
+  const events = play(game, tick => (tick === 0 ? INPUT_JUMP : 0), 40);
+  assert.ok(events.some(event => event.type === 'jump'));
+  assert.ok(events.some(event => event.type === 'land' && event.speed > 0));
+  assert.equal(events.some(event => event.type === 'hit'), false);
+  assert.equal(player.team.lives.lives, LIVES_CONFIG.startingLives);
+});
+
+test('losing the last life ends the run', () => {
+  const game = createGame({ seed: 1, level: QUIET });
+  const [player] = game.players;
+
+  for (let hit = 0; hit < LIVES_CONFIG.startingLives; hit++) {
+    if (hit > 0) waitOutInvulnerability(game);
+    armedTrap(game, player.x);
+    step(game, 0);
+  }
+
+  assert.equal(game.over, 'mousetrap');
+  assert.equal(player.out, true);
+  assert.equal(player.cause, 'mousetrap');
+  assert.deepEqual(game.runStats.deaths, ['mousetrap']);
+  assert.ok(game.events.some(event => event.type === 'gameOver' && event.cause === 'mousetrap'));
+
+  // Nothing moves once the game is over
+  const { tick } = game;
+  step(game, INPUT_RIGHT);
+  assert.equal(game.tick, tick);
+  assert.deepEqual(game.events, []);
+});
+
+test('spawned objects scroll down the board and are dropped behind the player', () => {
+  const game = createGame({ seed: 1, level: QUIET });
+  spawn(game, { type: 'cheese', x: 6, z: -10 });
+  const [cheese] = game.cheeses;
+
+  step(game, 0);
+  assert.equal(cheese.prevZ, -10);
+  assert.ok(cheese.z > -10);
+
+  play(game, () => 0, 200);
+  assert.equal(game.cheeses.length, 0);
+});
+
+test('a longer dt moves everything as far as that many ticks would', () => {
+  const once = createGame({ seed: 1, level: QUIET });
+  const twice = createGame({ seed: 1, level: QUIET });
+  [once, twice].forEach(game => {
+    spawn(game, { type: 'cheese', x: 6, z: -10 });
+    spawnHazard(game, 'rollingPin', { x: -4, z: -20 });
+  });
+
+  step(once, INPUT_RIGHT | INPUT_JUMP, TICK_MS * 2);
+  step(twice, INPUT_RIGHT | INPUT_JUMP);
+  step(twice, INPUT_RIGHT);
+
+  assert.equal(once.time, twice.time);
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+  close(once.players[0].x, twice.players[0].x);
+  close(once.cheeses[0].z, twice.cheeses[0].z);
+  close(once.hazards[0].x, twice.hazards[0].x);
+  close(once.hazards[0].z, twice.hazards[0].z);
+  assert.ok(once.players[0].y > GAME_CONFIG.baseY);
+});
+
+test('two players steer independently from packed input', () => {
+  const game = createGame({ seed: 1, mode: 'versus', level: QUIET });
+  const [one, two] = game.players;
+  const startOne = one.x;
+  const startTwo = two.x;
+
+  play(game, () => packInputs([INPUT_LEFT, INPUT_RIGHT]), 5);
+  assert.ok(one.x < startOne);
+  assert.ok(two.x > startTwo);
+});
+
+test('the same seed and inputs play out the same way', () => {
+  // Weaves back and forth and jumps now and then, through the endless director's spawns
+  const script = tick => (Math.floor(tick / 90) % 2 ? INPUT_LEFT : INPUT_RIGHT) | (tick % 70 === 0 ? INPUT_JUMP : 0);
+  const summary = seed => {
+    const game = createGame({ seed });
+    const events = play(game, script, 3000);
+    return {
+      tick: game.tick,
+      over: game.over,
+      score: game.players[0].team.score,
+      lives: game.players[0].team.lives.lives,
+      x: game.players[0].x,
+      events: events.length
+    };
+  };
+
+  assert.deepEqual(summary(1234), summary(1234));
+});
@@ -0,0 +1,59 @@
+// Level file validation and timelines.
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateLevel, validateLevelIndex, buildTimeline } from '../src/levels.js';
+
+function level(overrides = {}) {
+  return {
+    format: 1,
+    name: 'Test',
+    patterns: { line: { rows: [{ at: 0, row: '..C..' }] } },
+    sequence: [{ pattern: 'line' }],
+    ...overrides
+  };
+}
+
+test('a valid level has no errors and builds a timeline ending in the finish line', () => {
+  assert.deepEqual(validateLevel(level()), []);
+  const events = buildTimeline(level());
+  assert.equal(events[0].spawns[0].type, 'cheese');
+  assert.equal(events.at(-1).spawns[0].type, 'finish');
+});
+
+test('a sequence step naming an unknown pattern is an error', () => {
+  const errors = validateLevel(level({ sequence: [{ pattern: 'missing' }] }));
+  assert.deepEqual(errors, ['sequence step 0: unknown pattern "missing"']);
+});
+
+test('inherited object keys are not patterns', () => {
+  ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach(name => {
+    const errors = validateLevel(level({ sequence: [{ pattern: name }] }));
+    assert.deepEqual(errors, [`sequence step 0: unknown pattern "${name}"`]);
+  });
+});
+
+test('the shipped level list is valid', () => {
+  const index = JSON.parse(readFileSync(new URL('../public/levels/index.json', import.meta.url), 'utf8'));
+  assert.deepEqual(validateLevelIndex(index), []);
+});
+
+test('level list entries need string ids, names and files', () => {
+  assert.deepEqual(validateLevelIndex({}), ['Level list must have a "levels" array']);
+  const errors = validateLevelIndex({
+    levels: [
+      null,
+      { id: 3, name: 'Three', file: '/levels/three.json' },
+      { id: 'four', name: 'Four' },
+      { id: 'four', name: 'Four again', file: '/levels/four.json' }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'level 0 must be an object',
+    'level 1: "id" must be a non-empty string',
+    'level 2: "file" must be a non-empty string',
+    'level 3: duplicate id "four"'
+  ]);
+});
@@ -0,0 +1,64 @@
+// Replay recording, playback and validation.
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, step, bestTeamScore } from '../src/game.js';
+import { createRecorder, createPlayback, validateReplay, INPUT_LEFT, INPUT_RIGHT, INPUT_JUMP } from '../src/replay.js';
+import { LIVES_CONFIG, livesConfigFromUrl } from '../src/lives.js';
+import { MOVE_CONFIG, moveConfigFromUrl } from '../src/moves.js';
+
+const script = tick => (Math.floor(tick / 90) % 2 ? INPUT_LEFT : INPUT_RIGHT) | (tick % 70 === 0 ? INPUT_JUMP : 0);
+
+// Plays until the run ends, reading each tick's buttons from input(tick)
+function run(game, input, maxTicks = 20000) {
+  while (!game.over && game.tick < maxTicks) step(game, input(game.tick));
+  return { tick: game.tick, over: game.over, score: bestTeamScore(game) };
+}
+
+function replayOf(overrides = {}) {
+  const recorder = createRecorder(7);
+  recorder.record(0, INPUT_LEFT);
+  recorder.record(1, 0);
+  return { ...recorder.finish({ score: 0, mode: 'solo' }), ...overrides };
+}
+
+test('a recorded run plays back the same way with the lives and moves it was recorded with', () => {
+  const livesConfig = livesConfigFromUrl('?lives=5');
+  const moveConfig = moveConfigFromUrl('?doubleJump=0');
+  const live = createGame({ seed: 99, livesConfig, moveConfig });
+  const recorder = createRecorder(live.seed);
+  const result = run(live, tick => {
+    const buttons = script(tick);
+    recorder.record(tick, buttons);
+    return buttons;
+  });
+  const replay = validateReplay(JSON.parse(JSON.stringify(recorder.finish({
+    lives: { startingLives: livesConfig.startingLives, maxLives: livesConfig.maxLives },
+    moves: { doubleJump: moveConfig.doubleJump }
+  }))));
+
+  const playback = createPlayback(replay);
+  const watched = createGame({
+    seed: replay.seed,
+    livesConfig: { ...LIVES_CONFIG, ...replay.lives },
+    moveConfig: { ...MOVE_CONFIG, ...replay.moves }
+  });
+  assert.deepEqual(run(watched, tick => playback.inputAt(tick)), result);
+});
+
+test('replays with broken lives settings are rejected', () => {
+  assert.doesNotThrow(() => validateReplay(replayOf()));
+  assert.doesNotThrow(() => validateReplay(replayOf({ lives: { startingLives: 5, maxLives: 5 } })));
+  [null, {}, { startingLives: 0, maxLives: 5 }, { startingLives: 6, maxLives: 5 }, { startingLives: '3', maxLives: 5 }]
+    .forEach(lives => {
+      assert.throws(() => validateReplay(replayOf({ lives })), /invalid lives settings/);
+    });
+});
+
+test('replays with broken move settings are rejected', () => {
+  assert.doesNotThrow(() => validateReplay(replayOf({ moves: { doubleJump: false } })));
+  [null, {}, { doubleJump: 'no' }].forEach(moves => {
+    assert.throws(() => validateReplay(replayOf({ moves })), /invalid move settings/);
+  });
+});